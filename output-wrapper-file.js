@@ -9,5 +9,8 @@
   }
 }(this, function () {
   %output%
+  // Companion classes are reachable from the only exported value.
+  MomentumScroller.VelocityTracker = VelocityTracker;
+  MomentumScroller.VirtualList = VirtualList;
   return MomentumScroller;
 }));
\ No newline at end of file
@@ -7,5 +7,8 @@
  */
 
 import MomentumScroller from 'goog:rflect.ui.MomentumScroller';
+import VelocityTracker from 'goog:rflect.ui.VelocityTracker';
+import VirtualList from 'goog:rflect.ui.VirtualList';
 
-export default MomentumScroller;
\ No newline at end of file
+export {VelocityTracker, VirtualList};
+export default MomentumScroller;
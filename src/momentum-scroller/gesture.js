@@ -0,0 +1,96 @@
+/*
+ * Copyright (c) 2014. Rflect, Alex K.
+ */
+
+/**
+ * @fileoverview Gesture shared by nested scrollers. They all receive events
+ * of the same touch or pointer, so they decide together which of them handles
+ * it.
+ */
+
+goog.provide('rflect.ui.Gesture');
+
+goog.require('goog.array');
+
+goog.forwardDeclare('rflect.ui.MomentumScroller');
+
+
+
+/**
+ * State of one gesture, common for scrollers which take part in it.
+ * @param {Event} aEvent Browser event which started gesture.
+ * @constructor
+ */
+rflect.ui.Gesture = function(aEvent) {
+  /**
+   * Browser event which started gesture. Nested scrollers receive the same
+   * event, so it tells which of them take part in one gesture.
+   * @type {Event}
+   */
+  this.event = aEvent;
+
+  /**
+   * Scrollers which take part in gesture.
+   * @type {!Array<!rflect.ui.MomentumScroller>}
+   */
+  this.scrollers = [];
+
+  /**
+   * Scroller which gesture is given to, or null if it isn't decided yet or
+   * nobody took it.
+   * @type {rflect.ui.MomentumScroller}
+   */
+  this.owner = null;
+
+  /**
+   * Whether click was already synthesized for gesture.
+   * @type {boolean}
+   */
+  this.clickSynthesized = false;
+
+  /**
+   * Whether gesture events were already dispatched for gesture.
+   * @type {boolean}
+   */
+  this.recognized = false;
+
+  /**
+   * Whether gesture stopped momentum of one of scrollers, so that it isn't a
+   * press or tap for any of them.
+   * @type {boolean}
+   */
+  this.stoppedMomentum = false;
+};
+
+
+/**
+ * The last started gesture.
+ * @type {rflect.ui.Gesture}
+ * @private
+ */
+rflect.ui.Gesture.current_ = null;
+
+
+/**
+ * @param {Event} aEvent Browser event which starts drag.
+ * @return {!rflect.ui.Gesture} Gesture started by event. Nested scrollers
+ * get the same one.
+ */
+rflect.ui.Gesture.getByEvent = function(aEvent) {
+  if (!rflect.ui.Gesture.current_ ||
+      rflect.ui.Gesture.current_.event != aEvent) {
+    rflect.ui.Gesture.current_ = new rflect.ui.Gesture(aEvent);
+  }
+  return rflect.ui.Gesture.current_;
+}
+
+
+/**
+ * Removes scroller from gesture, as when it's disposed.
+ * @param {!rflect.ui.MomentumScroller} aScroller Scroller.
+ */
+rflect.ui.Gesture.prototype.leave = function(aScroller) {
+  goog.array.remove(this.scrollers, aScroller);
+  if (this.owner == aScroller)
+    this.owner = null;
+}
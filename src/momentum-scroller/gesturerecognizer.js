@@ -0,0 +1,257 @@
+/*
+ * Copyright (c) 2014. Rflect, Alex K.
+ */
+
+/**
+ * @fileoverview Recognizer of tap, double tap, long press and swipe.
+ */
+
+goog.provide('rflect.ui.GestureRecognizer');
+
+goog.require('goog.dom.classlist');
+goog.require('goog.math.Coordinate');
+goog.require('goog.object');
+
+
+
+/**
+ * Gesture recognizer main class. Follows press of one finger: highlights
+ * pressed element, times long press, tells whether tap completes double tap
+ * and whether release is swipe. Whether finger dragged content instead is
+ * up to scroller.
+ * @constructor
+ */
+rflect.ui.GestureRecognizer = function() {
+};
+
+
+/**
+ * Maximum time between taps of double tap, ms.
+ * @type {number}
+ */
+rflect.ui.GestureRecognizer.DOUBLE_TAP_INTERVAL = 300;
+
+
+/**
+ * Maximum distance between taps of double tap, px.
+ * @type {number}
+ */
+rflect.ui.GestureRecognizer.DOUBLE_TAP_DISTANCE = 30;
+
+
+/**
+ * Time after which pressed element is highlighted, so that elements which
+ * scrolling starts on don't flash, ms.
+ * @type {number}
+ */
+rflect.ui.GestureRecognizer.HIGHLIGHT_DELAY = 100;
+
+
+/**
+ * Minimal release velocity of swipe, px/ms.
+ * @type {number}
+ */
+rflect.ui.GestureRecognizer.SWIPE_VELOCITY = .3;
+
+
+/**
+ * Element where current press started.
+ * @type {Element}
+ * @private
+ */
+rflect.ui.GestureRecognizer.prototype.pressTarget_ = null;
+
+
+/**
+ * Class added to pressed element, empty string if there's no highlight.
+ * @type {string}
+ * @private
+ */
+rflect.ui.GestureRecognizer.prototype.highlightClass_ = '';
+
+
+/**
+ * Timeout id after which pressed element is highlighted, 0 if it's already
+ * highlighted or there's no press.
+ * @type {number}
+ * @private
+ */
+rflect.ui.GestureRecognizer.prototype.highlightTimeout_ = 0;
+
+
+/**
+ * Timeout id after which finger is considered long pressing, 0 if there's no
+ * press.
+ * @type {number}
+ * @private
+ */
+rflect.ui.GestureRecognizer.prototype.longPressTimeout_ = 0;
+
+
+/**
+ * Whether current press is long press.
+ * @type {boolean}
+ * @private
+ */
+rflect.ui.GestureRecognizer.prototype.longPressed_ = false;
+
+
+/**
+ * Time and point of last tap, to recognize double tap.
+ * @type {number}
+ * @private
+ */
+rflect.ui.GestureRecognizer.prototype.lastTapMoment_ = 0;
+
+
+/**
+ * @type {goog.math.Coordinate}
+ * @private
+ */
+rflect.ui.GestureRecognizer.prototype.lastTapPoint_ = null;
+
+
+/**
+ * @param {number} aVelocityX Horizontal release velocity, px/ms.
+ * @param {number} aVelocityY Vertical release velocity, px/ms.
+ * @return {boolean} Whether release is fast enough for swipe.
+ */
+rflect.ui.GestureRecognizer.isSwipe = function(aVelocityX, aVelocityY) {
+  return Math.max(Math.abs(aVelocityX), Math.abs(aVelocityY)) >=
+      rflect.ui.GestureRecognizer.SWIPE_VELOCITY;
+}
+
+
+/**
+ * @param {number} aVelocityX Horizontal release velocity, px/ms.
+ * @param {number} aVelocityY Vertical release velocity, px/ms.
+ * @return {string} Edge towards which finger moved along dominant axis:
+ * 'left', 'right', 'top' or 'bottom'.
+ */
+rflect.ui.GestureRecognizer.getSwipeDirection = function(aVelocityX,
+    aVelocityY) {
+  if (Math.abs(aVelocityX) > Math.abs(aVelocityY))
+    return aVelocityX > 0 ? 'right' : 'left';
+  return aVelocityY > 0 ? 'bottom' : 'top';
+}
+
+
+/**
+ * Remembers element where press started, highlights it after delay and
+ * starts waiting for long press.
+ * @param {Element} aTarget Pressed element.
+ * @param {string} aHighlightClass Class added to pressed element, empty
+ * string means no highlight.
+ * @param {?function(): boolean} aOnLongPress Called once finger stayed for
+ * long press delay, returns whether press is still long press. Null if long
+ * press isn't recognized.
+ * @param {number} aLongPressDelay Time finger should stay still to long
+ * press, ms.
+ */
+rflect.ui.GestureRecognizer.prototype.startPress = function(aTarget,
+    aHighlightClass, aOnLongPress, aLongPressDelay) {
+  this.reset();
+  this.pressTarget_ = aTarget;
+  this.highlightClass_ = aHighlightClass;
+  if (aTarget && aHighlightClass) {
+    this.highlightTimeout_ = setTimeout(() => {
+      this.highlightTimeout_ = 0;
+      goog.dom.classlist.add(aTarget, aHighlightClass);
+    }, rflect.ui.GestureRecognizer.HIGHLIGHT_DELAY);
+  }
+  if (aOnLongPress) {
+    this.longPressTimeout_ = setTimeout(() => {
+      this.longPressTimeout_ = 0;
+      this.longPressed_ = aOnLongPress();
+    }, aLongPressDelay);
+  }
+}
+
+
+/**
+ * Removes highlight and stops waiting for long press, because finger moved,
+ * was lifted or gesture was given away. Pressed element is still the target
+ * of gesture events.
+ */
+rflect.ui.GestureRecognizer.prototype.endPress = function() {
+  clearTimeout(this.longPressTimeout_);
+  this.longPressTimeout_ = 0;
+  clearTimeout(this.highlightTimeout_);
+  this.highlightTimeout_ = 0;
+  if (this.pressTarget_ && this.highlightClass_) {
+    goog.dom.classlist.remove(this.pressTarget_, this.highlightClass_);
+  }
+}
+
+
+/**
+ * Ends press and forgets it.
+ */
+rflect.ui.GestureRecognizer.prototype.reset = function() {
+  this.endPress();
+  this.pressTarget_ = null;
+  this.highlightClass_ = '';
+  this.longPressed_ = false;
+}
+
+
+/**
+ * @return {Element} Element where current press started.
+ */
+rflect.ui.GestureRecognizer.prototype.getPressTarget = function() {
+  return this.pressTarget_;
+}
+
+
+/**
+ * @return {boolean} Whether current press is long press.
+ */
+rflect.ui.GestureRecognizer.prototype.isLongPressed = function() {
+  return this.longPressed_;
+}
+
+
+/**
+ * Registers tap.
+ * @param {number} aClientX Horizontal coordinate of tap.
+ * @param {number} aClientY Vertical coordinate of tap.
+ * @return {boolean} Whether tap completes double tap.
+ */
+rflect.ui.GestureRecognizer.prototype.recognizeDoubleTap = function(aClientX,
+    aClientY) {
+  const now = goog.now();
+  const point = new goog.math.Coordinate(aClientX, aClientY);
+  if (!this.lastTapPoint_ || now - this.lastTapMoment_ >
+      rflect.ui.GestureRecognizer.DOUBLE_TAP_INTERVAL ||
+      goog.math.Coordinate.distance(point, this.lastTapPoint_) >
+      rflect.ui.GestureRecognizer.DOUBLE_TAP_DISTANCE) {
+    this.lastTapPoint_ = point;
+    this.lastTapMoment_ = now;
+    return false;
+  }
+  this.lastTapPoint_ = null;
+  return true;
+}
+
+
+/**
+ * Dispatches gesture event on element where press started.
+ * @param {string} aType Event type.
+ * @param {!Element} aDefaultTarget Element to dispatch event on if there's no
+ * press.
+ * @param {number} aClientX Horizontal coordinate of gesture.
+ * @param {number} aClientY Vertical coordinate of gesture.
+ * @param {Object=} opt_detail Fields of event detail besides coordinates.
+ */
+rflect.ui.GestureRecognizer.prototype.dispatch = function(aType,
+    aDefaultTarget, aClientX, aClientY, opt_detail) {
+  const detail = {'clientX': aClientX, 'clientY': aClientY};
+  if (opt_detail) {
+    goog.object.extend(detail, opt_detail);
+  }
+  (this.pressTarget_ || aDefaultTarget).dispatchEvent(new CustomEvent(aType, {
+    'bubbles': true,
+    'cancelable': true,
+    'detail': detail
+  }));
+}
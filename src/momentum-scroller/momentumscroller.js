@@ -12,29 +12,120 @@
 goog.provide('rflect.ui.MomentumScroller');
 
 
+goog.require('goog.array');
 goog.require('goog.dom');
 goog.require('goog.dom.classlist');
 goog.require('goog.events');
+goog.require('goog.events.Event');
 goog.require('goog.events.EventHandler');
 goog.require('goog.events.EventType');
+goog.require('goog.events.KeyCodes');
 goog.require('goog.events.EventTarget');
+goog.require('goog.labs.userAgent.platform');
+goog.require('goog.math');
+goog.require('goog.math.Coordinate');
+goog.require('goog.math.Rect');
+goog.require('goog.math.Size');
+goog.require('goog.object');
 goog.require('goog.style');
 goog.require('rflect.browser.transitionend');
 goog.require('rflect.browser.cssmatrix');
 goog.require('rflect.browser.css');
 goog.require('rflect.math');
+goog.require('rflect.ui.Gesture');
+goog.require('rflect.ui.GestureRecognizer');
+goog.require('rflect.ui.PinchZoom');
+goog.require('rflect.ui.StickyHeaders');
+goog.require('rflect.ui.VelocityTracker');
 
 
 
 /**
  * Momentum scroller main class.
+ * @param {Object=} opt_options Options which override defaults.
+ * @see {rflect.ui.MomentumScroller.getDefaultOptions}
  * @constructor
  * @extends {goog.events.EventHandler}
  */
-rflect.ui.MomentumScroller = function() {
+rflect.ui.MomentumScroller = function(opt_options) {
 
   goog.events.EventHandler.call(this);
 
+  /**
+   * Per-instance options, by name. Names are quoted so that they survive
+   * advanced compilation.
+   * @type {!Object<string, *>}
+   * @private
+   */
+  this.options_ = rflect.ui.MomentumScroller.getDefaultOptions();
+
+  /**
+   * Target on which scroll events are dispatched.
+   * @type {goog.events.EventTarget}
+   * @private
+   */
+  this.eventTarget_ = new goog.events.EventTarget();
+
+  /**
+   * Tracker of drag samples, which gives velocity of fling.
+   * @type {!rflect.ui.VelocityTracker}
+   * @private
+   */
+  this.velocityTracker_ = new rflect.ui.VelocityTracker();
+
+  /**
+   * Pinch of content, which follows fingers.
+   * @type {!rflect.ui.PinchZoom}
+   * @private
+   */
+  this.pinchZoom_ = new rflect.ui.PinchZoom();
+
+  /**
+   * Recognizer of tap, double tap, long press and swipe.
+   * @type {!rflect.ui.GestureRecognizer}
+   * @private
+   */
+  this.gestureRecognizer_ = new rflect.ui.GestureRecognizer();
+
+  /**
+   * Custom rubber band resistance, null means the default one.
+   * @type {?rflect.ui.MomentumScroller.ResistanceFunction}
+   * @private
+   */
+  this.resistanceFunction_ = null;
+
+  /**
+   * Edge glow elements by edge, null if there's no glow.
+   * @type {Object<string, !Element>}
+   * @private
+   */
+  this.edgeGlows_ = null;
+
+  /**
+   * Section headers pinned at the top of frame.
+   * @type {!rflect.ui.StickyHeaders}
+   * @private
+   */
+  this.stickyHeaders_ = new rflect.ui.StickyHeaders();
+
+  /**
+   * Classes added to scrollbar containers by scrollBarClassName option.
+   * @type {!Array<string>}
+   * @private
+   */
+  this.scrollBarClassNames_ = [];
+
+  /**
+   * Keys of listeners added through <code>addEventListener</code>, by type
+   * and listener uid.
+   * @type {!Object<string, goog.events.Key>}
+   * @private
+   */
+  this.externalListenerKeys_ = {};
+
+  if (opt_options) {
+    this.updateOptions(opt_options);
+  }
 }
 goog.inherits(rflect.ui.MomentumScroller, goog.events.EventHandler);
 
@@ -53,6 +144,56 @@ rflect.ui.MomentumScroller.DRAG_THRESHOLD = 5;
 rflect.ui.MomentumScroller.OUT_OF_BOUNDS_MAXIMUM = 100;
 
 
+/**
+ * Rubber band coefficient: content dragged this far out of bounds moves e
+ * times slower than finger, px.
+ * @type {number}
+ */
+rflect.ui.MomentumScroller.RESISTANCE = 550;
+
+
+/**
+ * Overscroll at which edge glow is the brightest, px.
+ * @type {number}
+ */
+rflect.ui.MomentumScroller.EDGE_GLOW_DISTANCE = 100;
+
+
+/**
+ * Default depth of edge glow, px.
+ * @type {number}
+ */
+rflect.ui.MomentumScroller.EDGE_GLOW_SIZE = 40;
+
+
+/**
+ * Time during which glow lit by momentum stays before fading, ms.
+ * @type {number}
+ */
+rflect.ui.MomentumScroller.EDGE_GLOW_HOLD_TIME = 100;
+
+
+/**
+ * Default color of edge glow.
+ * @type {string}
+ */
+rflect.ui.MomentumScroller.EDGE_GLOW_COLOR = 'rgba(0, 0, 0, .2)';
+
+
+/**
+ * Centers of edge glow gradients, by edge, the same as origins of their
+ * scaling in stylesheet.
+ * @type {!Object<string, string>}
+ * @private
+ */
+rflect.ui.MomentumScroller.EDGE_GLOW_CENTERS_ = {
+  'top': '50% 0',
+  'bottom': '50% 100%',
+  'left': '0 50%',
+  'right': '100% 50%'
+};
+
+
 /**
  * Acceleration for sliding.
  * @type {number}
@@ -87,636 +228,4794 @@ rflect.ui.MomentumScroller.QUEUED_TRANSITION_STAGE = {
 
 
 /**
- * Maximum velocity for momentum.
- * @type {number}
+ * Axes along which content can be scrolled.
+ * @enum {string}
  */
-rflect.ui.MomentumScroller.MAXIMUM_VELOCITY = 3.5;
+rflect.ui.MomentumScroller.Axis = {
+  VERTICAL: 'vertical',
+  HORIZONTAL: 'horizontal',
+  BOTH: 'both'
+};
 
 
 /**
- * @type {number}
+ * Events dispatched by scroller.
+ * DRAG_START - finger or mouse moved content past drag threshold.
+ * DRAG_END - finger or mouse released content after drag.
+ * SCROLL_START - content started to move from rest.
+ * SCROLL - position of content changed, including positions interpolated
+ * during animations.
+ * SCROLL_END - content came to rest.
+ * MOMENTUM_START - content was flung.
+ * MOMENTUM_END - momentum finished or was interrupted.
+ * EDGE_REACHED - content reached one of its edges.
+ * BOUNCE - content springs back from beyond an edge.
+ * PULL - content is pulled down past its top edge while pull-to-refresh is
+ * set up; event has progress field.
+ * REFRESH_START - content was released past pull-to-refresh threshold.
+ * REFRESH_END - promise of refresh callback settled.
+ * NEAR_END - content got within near end distance of its bottom (right, for
+ * horizontal scroller) edge.
+ * PAGE_CHANGE - content came to rest at other snap point than before; event
+ * has index field.
+ * @enum {string}
  */
-rflect.ui.MomentumScroller.SCROLLBAR_MIN_HEIGHT = 5;
+rflect.ui.MomentumScroller.EventType = {
+  DRAG_START: 'dragstart',
+  DRAG_END: 'dragend',
+  SCROLL_START: 'scrollstart',
+  SCROLL: 'scroll',
+  SCROLL_END: 'scrollend',
+  MOMENTUM_START: 'momentumstart',
+  MOMENTUM_END: 'momentumend',
+  EDGE_REACHED: 'edgereached',
+  BOUNCE: 'bounce',
+  PULL: 'pull',
+  REFRESH_START: 'refreshstart',
+  REFRESH_END: 'refreshend',
+  NEAR_END: 'nearend',
+  PAGE_CHANGE: 'pagechange'
+};
 
 
 /**
- * @type {number}
+ * Edges of content.
+ * @enum {string}
  */
-rflect.ui.MomentumScroller.SCROLLBAR_THICKNESS = 3;
+rflect.ui.MomentumScroller.Edge = {
+  TOP: 'top',
+  BOTTOM: 'bottom',
+  LEFT: 'left',
+  RIGHT: 'right'
+};
 
 
 /**
- * @type {number}
+ * Function which reduces distance content is dragged out of bounds. Receives
+ * that distance, signed, and frame length along axis; returns reduced
+ * distance of the same sign.
+ * @typedef {function(number, number): number}
  */
-rflect.ui.MomentumScroller.SCROLLBAR_HIDE_DELAY = 0;
+rflect.ui.MomentumScroller.ResistanceFunction;
 
 
 /**
- * @type {string}
+ * How content is animated.
+ * TRANSITION - by CSS transitions, chained on transitionend.
+ * ANIMATION_FRAME - by stepping velocity and position on each animation
+ * frame, so that exact position is known at any time.
+ * @enum {string}
  */
-rflect.ui.MomentumScroller.SCROLLBAR_HIDE_TRANSITION = 'opacity .2s';
+rflect.ui.MomentumScroller.Engine = {
+  TRANSITION: 'transition',
+  ANIMATION_FRAME: 'animationframe'
+};
 
 
 /**
- * @type {string}
+ * Longest time step of animation frame engine, in ms. Longer pauses, e.g. in
+ * background tabs, don't make content jump.
+ * @type {number}
  */
-rflect.ui.MomentumScroller.STANDARD_SCROLL_BAR_COLOR =
-    rflect.ui.MomentumScroller.COLOR_DEBUG ?
-        '#000' :
-        'rgb(181, 181, 181)';
+rflect.ui.MomentumScroller.MAX_FRAME_DURATION = 50;
 
 
 /**
- * Stylesheet with base classes for scrollbar.
- * @type {Array.<string>}
+ * Time in which distance out of bounds decreases e times when content springs
+ * back in animation frame engine, in ms.
+ * @type {number}
  */
-rflect.ui.MomentumScroller.SCROLLBAR_STYLESHEET = [
-  `
-  .scrollbar-vertical-cont {
-    box-sizing: border-box;
-    position: absolute;
-    top: 0;
-    right: 0;
-    padding-right: ${rflect.ui.MomentumScroller.SCROLLBAR_THICKNESS}px;
-    transition: ${rflect.ui.MomentumScroller.SCROLLBAR_HIDE_TRANSITION};
-    opacity: 0;
-    z-index: 10;
-  }
-  `,`
-  .scrollbar-hidden {
-    opacity: 0;
-  }
-  `,`
-  .scrollbar-vertical-edge {
-    box-sizing: border-box;
-    width: ${rflect.ui.MomentumScroller.SCROLLBAR_THICKNESS}px;
-    height: ${rflect.ui.MomentumScroller.SCROLLBAR_THICKNESS}px;
-    background-color: ${rflect.ui.MomentumScroller.STANDARD_SCROLL_BAR_COLOR};
-  }
-  `,`
-  .scrollbar-vertical-top {
-    border-radius: ${rflect.ui.MomentumScroller.SCROLLBAR_THICKNESS}px
-        ${rflect.ui.MomentumScroller.SCROLLBAR_THICKNESS}px 0 0;
-  }
-  `,`
-  .scrollbar-vertical-bottom {
-    border-radius: 0 0 ${rflect.ui.MomentumScroller.SCROLLBAR_THICKNESS}px
-        ${rflect.ui.MomentumScroller.SCROLLBAR_THICKNESS}px;
-  }
-  `,`
-  .scrollbar-vertical-line {
-    box-sizing: border-box;
-    width: ${rflect.ui.MomentumScroller.SCROLLBAR_THICKNESS}px;
-    height: 1px;
-    background-color: ${rflect.ui.MomentumScroller.STANDARD_SCROLL_BAR_COLOR};
-  }
-  `
-];
+rflect.ui.MomentumScroller.BOUNCE_BACK_TIME_CONSTANT = 100;
 
 
 /**
- * Global instances counter.
- * @type {number}
+ * Control points of CSS timing functions, by keyword.
+ * @type {!Object<string, !Array<number>>}
  * @private
  */
-rflect.ui.MomentumScroller.instancesCount_ = 0;
+rflect.ui.MomentumScroller.TIMING_FUNCTIONS_ = {
+  'linear': [0, 0, 1, 1],
+  'ease': [.25, .1, .25, 1],
+  'ease-in': [.42, 0, 1, 1],
+  'ease-out': [0, 0, .58, 1],
+  'ease-in-out': [.42, 0, .58, 1]
+};
 
 
 /**
- * Global listener key.
- * @type {goog.events.Key}
+ * @param {string} aTimingFunction CSS timing function, keyword or
+ * cubic-bezier.
+ * @return {function(number): number} Easing which maps time progress to
+ * movement progress, same as timing function does. Unknown timing functions
+ * are treated as ease.
  * @private
  */
-rflect.ui.MomentumScroller.documentListenerKey_;
+rflect.ui.MomentumScroller.getEasing_ = function(aTimingFunction) {
+  let points = rflect.ui.MomentumScroller.TIMING_FUNCTIONS_[aTimingFunction];
+  const match = /cubic-bezier\(([^)]+)\)/.exec(aTimingFunction);
+  if (match) {
+    points = match[1].split(',').map(parseFloat);
+  }
+  if (!points || points.length != 4 || points.some(isNaN))
+    points = rflect.ui.MomentumScroller.TIMING_FUNCTIONS_['ease'];
+
+  const [x1, y1, x2, y2] = points;
+  const bezier = (aT, a1, a2) => 3 * a1 * aT * (1 - aT) * (1 - aT) +
+      3 * a2 * aT * aT * (1 - aT) + aT * aT * aT;
+  return (aProgress) => {
+    // Finds parameter at which curve has given x, by bisection.
+    let low = 0;
+    let high = 1;
+    let t = aProgress;
+    for (let i = 0; i < 20; i++) {
+      t = (low + high) / 2;
+      if (bezier(t, x1, x2) < aProgress) {
+        low = t;
+      } else {
+        high = t;
+      }
+    }
+    return bezier(t, y1, y2);
+  };
+}
 
 
 /**
- * Whether this behavior is enabled.
- * @type {boolean}
- * @private
+ * Positions at which content comes to rest.
+ * NONE - wherever momentum lands.
+ * PAGING - multiples of frame size.
+ * POINTS - edges of content children which match snap selector.
+ * @enum {string}
  */
-rflect.ui.MomentumScroller.prototype.enabled_;
+rflect.ui.MomentumScroller.SnapMode = {
+  NONE: 'none',
+  PAGING: 'paging',
+  POINTS: 'points'
+};
 
 
 /**
- * Start touch Y offset.
- * @type {number}
+ * Default selector of children which are snap points.
+ * @type {string}
  */
-rflect.ui.MomentumScroller.prototype.startTouchY = 0;
+rflect.ui.MomentumScroller.SNAP_SELECTOR = '[data-snap]';
 
 
 /**
- * Position of content.
- * @type {number}
+ * Default selector of children which are sticky headers.
+ * @type {string}
  */
-rflect.ui.MomentumScroller.prototype.contentOffsetY = 0;
+rflect.ui.MomentumScroller.STICKY_SELECTOR = '[data-sticky]';
 
 
 /**
- * At what position content is initially placed.
- * @type {number}
+ * Prefix of session storage key under which state is persisted.
+ * @type {string}
  */
-rflect.ui.MomentumScroller.prototype.contentStartOffsetY = 0;
+rflect.ui.MomentumScroller.STORAGE_KEY_PREFIX = 'momentum-scroller-';
 
 
 /**
- * x0 point to calculate speed.
- * @see {getEndVelocity}
+ * Gap kept between focused element and edge of visible part of frame, px.
  * @type {number}
- * @private
  */
-rflect.ui.MomentumScroller.prototype.previousPoint_ = 0;
+rflect.ui.MomentumScroller.FOCUS_MARGIN = 16;
 
 
 /**
- * t0 time to calculate speed.
+ * Maximal duration of momentum which ends at snap point, in ms.
  * @type {number}
- * @private
  */
-rflect.ui.MomentumScroller.prototype.previousMoment_ = 0;
+rflect.ui.MomentumScroller.SNAP_MAX_DURATION = 800;
 
 
 /**
- * x1 point to calculate speed.
- * @type {number}
- * @private
+ * Kinds of input scroller listens to.
+ * TOUCH - touch events only, as on iOS.
+ * POINTER - pointer events with pointer capture, so that touch, pen and mouse
+ * drag content. In browsers without pointer events touch events and mouse drag
+ * emulation are used.
+ * @enum {string}
  */
-rflect.ui.MomentumScroller.prototype.currentPoint_ = 0;
+rflect.ui.MomentumScroller.InputMode = {
+  TOUCH: 'touch',
+  POINTER: 'pointer'
+};
 
 
 /**
- * t1 time to calculate speed.
- * @type {number}
- * @private
+ * Conditions under which scroller is enabled.
+ * IOS - only on iOS, where native scrolling of fixed layouts misbehaves.
+ * DETECT - on devices with touch screen, detected by touch points or coarse
+ * pointer. Presence of touch or pointer events isn't enough, desktop browsers
+ * support them too.
+ * FORCE - on any platform.
+ * @enum {string}
  */
-rflect.ui.MomentumScroller.prototype.currentMoment_ = 0;
+rflect.ui.MomentumScroller.EnableMode = {
+  IOS: 'ios',
+  DETECT: 'detect',
+  FORCE: 'force'
+};
 
 
 /**
- * @type {boolean}
- * @private
+ * @param {rflect.ui.MomentumScroller.EnableMode} aEnableMode Enable mode to
+ * check against.
+ * @return {boolean} Whether scroller could be enabled on current platform.
  */
-rflect.ui.MomentumScroller.prototype.isDragging_ = false;
+rflect.ui.MomentumScroller.isSupported = function(aEnableMode) {
+  switch (aEnableMode) {
+    case rflect.ui.MomentumScroller.EnableMode.FORCE:
+      return true;
+    case rflect.ui.MomentumScroller.EnableMode.DETECT:
+      return navigator.maxTouchPoints > 0 || !!window.matchMedia &&
+          window.matchMedia('(any-pointer: coarse)').matches;
+    default:
+      return goog.labs.userAgent.platform.isIos();
+  }
+}
 
 
 /**
- * @type {boolean}
- * @private
+ * Values of WheelEvent.deltaMode.
+ * @type {number}
  */
-rflect.ui.MomentumScroller.prototype.isOutOfBounds_ = false;
+rflect.ui.MomentumScroller.WHEEL_DELTA_MODE_PIXEL = 0;
 
 
 /**
- * Whether momentum scrolling is in progress.
- * @type {boolean}
- * @private
+ * @type {number}
  */
-rflect.ui.MomentumScroller.prototype.isDecelerating_ = false;
+rflect.ui.MomentumScroller.WHEEL_DELTA_MODE_LINE = 1;
 
 
 /**
- * Whether stop propagation is needed on touch end.
- * @type {boolean}
- * @private
+ * @type {number}
  */
-rflect.ui.MomentumScroller.prototype.stopPropagationOnTouchEnd_ = false;
+rflect.ui.MomentumScroller.WHEEL_DELTA_MODE_PAGE = 2;
 
 
 /**
- * @type {boolean}
- * @private
+ * How many pixels is one line when wheel reports deltas in lines.
+ * @type {number}
  */
-rflect.ui.MomentumScroller.prototype.scrollBarIsEnabled_ = true;
+rflect.ui.MomentumScroller.WHEEL_LINE_HEIGHT = 16;
 
 
 /**
- * What kind of out-of-bounds transition currently is in progress.
- * @type {rflect.ui.MomentumScroller.QUEUED_TRANSITION_STAGE}
+ * Duration of animation for one click of mouse wheel or key press, in ms.
+ * @type {number}
  */
-rflect.ui.MomentumScroller.prototype.queuedTransitionStage_ =
-    rflect.ui.MomentumScroller.QUEUED_TRANSITION_STAGE.NONE;
+rflect.ui.MomentumScroller.STEP_ANIMATION_DURATION = 200;
 
 
 /**
- * @type {Element}
+ * Share of frame length by which content is scrolled with arrow keys.
+ * @type {number}
  */
-rflect.ui.MomentumScroller.prototype.element;
+rflect.ui.MomentumScroller.KEYBOARD_LINE_RATIO = .1;
 
 
 /**
- * @type {Element}
+ * Default duration of animated scroll, in ms.
+ * @see {scrollTo}
+ * @type {number}
  */
-rflect.ui.MomentumScroller.prototype.frameElement;
+rflect.ui.MomentumScroller.SCROLL_TO_DURATION = 300;
 
 
 /**
- * @type {Element}
+ * Default timing function of animated scroll.
+ * @see {scrollTo}
+ * @type {string}
  */
-rflect.ui.MomentumScroller.prototype.scrollBarContainer_;
+rflect.ui.MomentumScroller.SCROLL_TO_EASING = 'ease-in-out';
 
 
 /**
- * @type {Element}
+ * How element is aligned within frame when scrolled into view.
+ * START - with its top (left) edge.
+ * CENTER - with its center.
+ * END - with its bottom (right) edge.
+ * NEAREST - with edge which is closest, only if it's not visible already.
+ * @enum {string}
  */
-rflect.ui.MomentumScroller.prototype.scrollBarLine_;
+rflect.ui.MomentumScroller.Align = {
+  START: 'start',
+  CENTER: 'center',
+  END: 'end',
+  NEAREST: 'nearest'
+};
 
 
 /**
- * @type {goog.math.Size}
+ * Gesture events. They are dispatched on element where gesture started and
+ * bubble, their detail has clientX and clientY fields.
+ * TAP - finger was lifted without moving; fired for each tap of double tap
+ * too.
+ * DOUBLE_TAP - second tap quickly followed first one near it.
+ * LONG_PRESS - finger stayed still for long press delay, no tap and click
+ * follow.
+ * SWIPE - finger was released moving fast; detail also has direction, edge
+ * towards which finger moved, see Edge, and velocityX, velocityY fields.
+ * @enum {string}
  */
-rflect.ui.MomentumScroller.prototype.elementSize;
+rflect.ui.MomentumScroller.GestureType = {
+  TAP: 'tap',
+  DOUBLE_TAP: 'doubletap',
+  LONG_PRESS: 'longpress',
+  SWIPE: 'swipe'
+};
 
 
 /**
- * @type {goog.math.Size}
+ * How click is synthesized on tap, since browser doesn't fire one for touch
+ * whose default was prevented.
+ * NONE - click isn't synthesized, touch end isn't prevented, so browser fires
+ * its own click.
+ * MOUSE - MouseEvent click.
+ * POINTER - PointerEvent click with touch pointer type, MouseEvent one where
+ * pointer events aren't supported.
+ * @enum {string}
  */
-rflect.ui.MomentumScroller.prototype.frameElementSize;
+rflect.ui.MomentumScroller.ClickMode = {
+  NONE: 'none',
+  MOUSE: 'mouse',
+  POINTER: 'pointer'
+};
 
 
 /**
- * @type {{position: string, overflow: string}}
+ * Pause between wheel events after which trackpad stream is considered over,
+ * in ms.
+ * @type {number}
  */
-rflect.ui.MomentumScroller.prototype.frameElementInitialStyle;
+rflect.ui.MomentumScroller.WHEEL_STREAM_END_DELAY = 150;
 
 
 /**
- * @type {number} Scrollbar hide delay timeout id.
+ * How long after end of transition its transitionend is waited for, ms.
+ * Browsers drop it e.g. for hidden pages.
+ * @type {number}
  */
-rflect.ui.MomentumScroller.prototype.scrollBarShowTimeout_;
+rflect.ui.MomentumScroller.TRANSITION_END_TIMEOUT = 100;
 
 
 /**
- * @param {Element} aElement Element to set.
+ * How many wheel events with decreasing deltas in a row mean trackpad
+ * inertia.
+ * @type {number}
  */
-rflect.ui.MomentumScroller.prototype.setElement = function(aElement) {
-  this.element = aElement;
-}
+rflect.ui.MomentumScroller.WHEEL_INERTIA_EVENTS = 3;
 
 
 /**
- * @param {Element} aFrameElement Frame element to set.
+ * Maximum velocity for momentum.
+ * @type {number}
  */
-rflect.ui.MomentumScroller.prototype.setFrameElement = function(aFrameElement) {
-  this.frameElement = aFrameElement;
-}
+rflect.ui.MomentumScroller.MAXIMUM_VELOCITY = 3.5;
 
 
 /**
- * @param {Element} aElement Element to set.
- * @param {Element} aFrameElement Frame element to set.
+ * Distance to end of content at which NEAR_END event is dispatched, in px.
+ * @type {number}
  */
-rflect.ui.MomentumScroller.prototype.setElements = function(aElement,
-                                                            aFrameElement) {
-  this.setElement(aElement);
-  this.setFrameElement(aFrameElement);
-}
+rflect.ui.MomentumScroller.NEAR_END_DISTANCE = 300;
 
 
 /**
- * Enables scroll bar.
- * @param {boolean} aEnabled Whether to enable scroll bar.
+ * Default limits of zoom.
+ * @type {number}
  */
-rflect.ui.MomentumScroller.prototype.setScrollBarEnabled = function(aEnabled) {
-  this.scrollBarIsEnabled_ = aEnabled;
-}
+rflect.ui.MomentumScroller.MIN_ZOOM = 1;
 
 
 /**
- * Returns whether scroll bar is enabled.
- * @return {boolean} aEnabled Whether scroll bar is enabled.
+ * @type {number}
  */
-rflect.ui.MomentumScroller.prototype.isScrollBarEnabled = function() {
-  return this.scrollBarIsEnabled_;
-}
+rflect.ui.MomentumScroller.MAX_ZOOM = 4;
 
 
 /**
- * Enables momentum scrolling. Call setElement before.
- * @see {setElement}
- * @param {boolean} aEnabled Whether to enable behavior.
- * @param {boolean} useScrollPos Whether to use native scroll top.
+ * Zoom to which double tap zooms in.
+ * @type {number}
  */
-rflect.ui.MomentumScroller.prototype.enable = function(aEnabled, useScrollPos) {
-  if (!goog.labs.userAgent.platform.isIos())
-    return;
+rflect.ui.MomentumScroller.DOUBLE_TAP_ZOOM = 2;
 
-  const enabled = this.isEnabled();
-  if (enabled == aEnabled)
-    return;
 
-  this.enabled_ = aEnabled;
+/**
+ * Time finger should stay still to long press, ms.
+ * @type {number}
+ */
+rflect.ui.MomentumScroller.LONG_PRESS_DELAY = 500;
 
-  if (aEnabled) {
-    this.setUpStyles(++rflect.ui.MomentumScroller.instancesCount_ == 1);
-    this.calculateSizes();
-    this.setUpPosition(useScrollPos);
-    this.addScrollBar();
-    this.enterDocument();
-  } else {
-    this.exitDocument();
-    this.removeScrollBar();
-    this.restorePosition(useScrollPos);
-    this.restoreStyles(--rflect.ui.MomentumScroller.instancesCount_ == 0);
 
-    this.element = null;
-    this.frameElement = null;
-  }
-}
+/**
+ * Duration of zoom animation, ms.
+ * @type {number}
+ */
+rflect.ui.MomentumScroller.ZOOM_DURATION = 300;
 
 
 /**
- * @private
- * @param {boolean} useScrollPos Whether to use native scroll top.
+ * Returns default options. Constants of this class are used as defaults.
+ * <ul>
+ * <li>axis - axes along which content is scrolled, see Axis;</li>
+ * <li>inputMode - kind of input to listen to, see InputMode;</li>
+ * <li>enableMode - conditions under which scroller is enabled, see
+ * EnableMode;</li>
+ * <li>bounce - whether content bounces at edges, or is hard clamped; with
+ * pull-to-refresh set up, content is pulled down past top edge anyway;</li>
+ * <li>dragThreshold - how many pixels finger should move to start drag;</li>
+ * <li>outOfBoundsMaximum - how far content bounces out of bounds;</li>
+ * <li>accelerationSliding - deceleration of momentum, px/ms^2;</li>
+ * <li>accelerationBounceBackCoeff - how many times bounce decelerates faster
+ * than momentum;</li>
+ * <li>maximumVelocity - cap of momentum velocity, px/ms;</li>
+ * <li>scrollBarMinLength - minimal length of scrollbar line;</li>
+ * <li>scrollBarThickness - thickness of scrollbar line;</li>
+ * <li>scrollBarInset - distance from scrollbar line to frame edge;</li>
+ * <li>scrollBarColor - color of scrollbar line, empty string means color
+ * from scrollBarClassName classes;</li>
+ * <li>scrollBarRoundedCaps - whether scrollbar line has rounded ends;</li>
+ * <li>scrollBarAlwaysVisible - whether scrollbar is shown at rest too;</li>
+ * <li>scrollBarClassName - additional classes of scrollbar containers, so
+ * that scrollbar could be restyled without fighting global stylesheet;</li>
+ * <li>scrollBarHideDelay - delay before scrollbar is hidden, ms;</li>
+ * <li>scrollBarHideTransition - CSS transition with which scrollbar is
+ * hidden;</li>
+ * <li>pullToRefreshThreshold - how far content should be pulled down to
+ * start refresh, 0 means height of indicator;</li>
+ * <li>nearEndDistance - distance to end of content at which more content is
+ * requested;</li>
+ * <li>snap - where content comes to rest, see SnapMode;</li>
+ * <li>snapSelector - selector of children which are snap points in POINTS
+ * mode;</li>
+ * <li>observeSizes - whether to measure content and frame again when their
+ * sizes change;</li>
+ * <li>engine - how content is animated, see Engine;</li>
+ * <li>interactiveScrollBar - whether scrollbar thumb could be dragged and
+ * its track tapped to page;</li>
+ * <li>directionLock - whether drag is locked to its dominant direction and
+ * given to one scroller of nested ones, the rest yielding it;</li>
+ * <li>scrollChaining - whether drag is handed to outer scroller when content
+ * is at the edge in drag direction;</li>
+ * <li>zoom - whether content is zoomed by pinch and double tap, best used
+ * with both axes;</li>
+ * <li>minZoom - minimal zoom;</li>
+ * <li>maxZoom - maximal zoom;</li>
+ * <li>doubleTapZoom - zoom to which double tap zooms in;</li>
+ * <li>stickyHeaders - whether headers stay pinned at the top of frame while
+ * their section is visible;</li>
+ * <li>stickySelector - selector of children which are sticky headers. Header
+ * is pushed up by the next one, or by the end of its parent if parent is
+ * inside content;</li>
+ * <li>persistId - id under which state is saved to session storage and
+ * restored on <code>add</code>, or once content gets non-zero size, empty
+ * string means no persistence;</li>
+ * <li>revealFocus - whether element focused inside content is scrolled into
+ * visible part of frame, which excludes area under on-screen keyboard;</li>
+ * <li>focusMargin - gap kept between focused element and edge of frame;</li>
+ * <li>label - accessible name of frame, used unless frame already has
+ * one. Named frame gets region role;</li>
+ * <li>gestures - whether tap, double tap, long press and swipe events are
+ * dispatched, see GestureType;</li>
+ * <li>longPressDelay - time finger should stay still to long press;</li>
+ * <li>clickMode - how click is synthesized on tap, see ClickMode;</li>
+ * <li>tapHighlightClass - class added to touched element while finger is
+ * on it, after short delay unless drag starts; empty string means no
+ * highlight;</li>
+ * <li>resistance - rubber band coefficient, the greater, the weaker is
+ * resistance to dragging content out of bounds;</li>
+ * <li>edgeGlow - whether overscroll is shown by glow at the edge of frame
+ * instead of moving content, which then doesn't bounce;</li>
+ * <li>edgeGlowColor - color of edge glow, at its brightest point;</li>
+ * <li>edgeGlowSize - depth of edge glow at the strongest overscroll.</li>
+ * </ul>
+ * @return {!Object<string, *>} Default options, by name.
  */
-rflect.ui.MomentumScroller.prototype.setUpPosition = function(useScrollPos) {
-  if ('scroll' == this.frameElementInitialStyle.overflow) {
-    if (useScrollPos) {
-      this.setScrollTop(this.frameElement.scrollTop);
-    } else {
-      this.animateWithinBounds(this.contentOffsetY);
-    }
-    this.frameElement.scrollTop = 0;
-  } else {
-    this.animateWithinBounds(this.contentOffsetY);
-  }
+rflect.ui.MomentumScroller.getDefaultOptions = function() {
+  return {
+    'axis': rflect.ui.MomentumScroller.Axis.VERTICAL,
+    'inputMode': rflect.ui.MomentumScroller.InputMode.TOUCH,
+    'enableMode': rflect.ui.MomentumScroller.EnableMode.IOS,
+    'bounce': true,
+    'dragThreshold': rflect.ui.MomentumScroller.DRAG_THRESHOLD,
+    'outOfBoundsMaximum': rflect.ui.MomentumScroller.OUT_OF_BOUNDS_MAXIMUM,
+    'accelerationSliding': rflect.ui.MomentumScroller.ACCELERATION_SLIDING,
+    'accelerationBounceBackCoeff':
+        rflect.ui.MomentumScroller.ACCELERATION_BOUNCE_BACK_COEFF,
+    'maximumVelocity': rflect.ui.MomentumScroller.MAXIMUM_VELOCITY,
+    'scrollBarMinLength': rflect.ui.MomentumScroller.SCROLLBAR_MIN_HEIGHT,
+    'scrollBarThickness': rflect.ui.MomentumScroller.SCROLLBAR_THICKNESS,
+    'scrollBarInset': rflect.ui.MomentumScroller.SCROLLBAR_THICKNESS,
+    'scrollBarColor': rflect.ui.MomentumScroller.STANDARD_SCROLL_BAR_COLOR,
+    'scrollBarRoundedCaps': false,
+    'scrollBarAlwaysVisible': false,
+    'scrollBarClassName': '',
+    'scrollBarHideDelay': rflect.ui.MomentumScroller.SCROLLBAR_HIDE_DELAY,
+    'scrollBarHideTransition':
+        rflect.ui.MomentumScroller.SCROLLBAR_HIDE_TRANSITION,
+    'pullToRefreshThreshold': 0,
+    'nearEndDistance': rflect.ui.MomentumScroller.NEAR_END_DISTANCE,
+    'snap': rflect.ui.MomentumScroller.SnapMode.NONE,
+    'snapSelector': rflect.ui.MomentumScroller.SNAP_SELECTOR,
+    'observeSizes': true,
+    'engine': rflect.ui.MomentumScroller.Engine.TRANSITION,
+    'interactiveScrollBar': false,
+    'directionLock': false,
+    'scrollChaining': false,
+    'zoom': false,
+    'minZoom': rflect.ui.MomentumScroller.MIN_ZOOM,
+    'maxZoom': rflect.ui.MomentumScroller.MAX_ZOOM,
+    'doubleTapZoom': rflect.ui.MomentumScroller.DOUBLE_TAP_ZOOM,
+    'stickyHeaders': false,
+    'stickySelector': rflect.ui.MomentumScroller.STICKY_SELECTOR,
+    'persistId': '',
+    'revealFocus': true,
+    'focusMargin': rflect.ui.MomentumScroller.FOCUS_MARGIN,
+    'label': '',
+    'gestures': false,
+    'longPressDelay': rflect.ui.MomentumScroller.LONG_PRESS_DELAY,
+    'clickMode': rflect.ui.MomentumScroller.ClickMode.MOUSE,
+    'tapHighlightClass': '',
+    'resistance': rflect.ui.MomentumScroller.RESISTANCE,
+    'edgeGlow': false,
+    'edgeGlowColor': rflect.ui.MomentumScroller.EDGE_GLOW_COLOR,
+    'edgeGlowSize': rflect.ui.MomentumScroller.EDGE_GLOW_SIZE
+  };
 }
 
 
 /**
+ * @param {*} aValue Value to test.
+ * @return {boolean} Whether value is finite number which is not less than 0.
  * @private
- * @param {boolean} useScrollPos Whether to use native scroll top.
  */
-rflect.ui.MomentumScroller.prototype.restorePosition = function(useScrollPos) {
-  if (useScrollPos && 'scroll' == this.frameElementInitialStyle.overflow) {
-    this.frameElement.scrollTop = this.getScrollTop();
-  }
-  rflect.browser.css.setTransform(this.element, '');
+rflect.ui.MomentumScroller.isNonNegative_ = function(aValue) {
+  return goog.isNumber(aValue) && isFinite(aValue) && aValue >= 0;
 }
 
 
 /**
+ * @param {*} aValue Value to test.
+ * @return {boolean} Whether value is finite number which is greater than 0.
  * @private
  */
-rflect.ui.MomentumScroller.prototype.addScrollBar = function() {
-  rflect.browser.css.setTransform(this.getScrollBarLine(),
-      `scaleY(${this.getScrollBarLineHeight()})`);
-  this.frameElement.appendChild(this.getScrollBarContainer());
+rflect.ui.MomentumScroller.isPositive_ = function(aValue) {
+  return goog.isNumber(aValue) && isFinite(aValue) && aValue > 0;
 }
 
 
 /**
+ * Validators of options, by option name.
+ * @type {!Object<string, function(*): boolean>}
  * @private
  */
-rflect.ui.MomentumScroller.prototype.removeScrollBar = function() {
+rflect.ui.MomentumScroller.OPTION_VALIDATORS_ = {
+  'axis': (aValue) => goog.object.containsValue(
+      rflect.ui.MomentumScroller.Axis, aValue),
+  'inputMode': (aValue) => goog.object.containsValue(
+      rflect.ui.MomentumScroller.InputMode, aValue),
+  'enableMode': (aValue) => goog.object.containsValue(
+      rflect.ui.MomentumScroller.EnableMode, aValue),
+  'bounce': goog.isBoolean,
+  'dragThreshold': rflect.ui.MomentumScroller.isNonNegative_,
+  'outOfBoundsMaximum': rflect.ui.MomentumScroller.isNonNegative_,
+  'accelerationSliding': rflect.ui.MomentumScroller.isPositive_,
+  'accelerationBounceBackCoeff': rflect.ui.MomentumScroller.isPositive_,
+  'maximumVelocity': rflect.ui.MomentumScroller.isPositive_,
+  'scrollBarMinLength': rflect.ui.MomentumScroller.isNonNegative_,
+  'scrollBarThickness': rflect.ui.MomentumScroller.isPositive_,
+  'scrollBarInset': rflect.ui.MomentumScroller.isNonNegative_,
+  'scrollBarColor': goog.isString,
+  'scrollBarRoundedCaps': goog.isBoolean,
+  'scrollBarAlwaysVisible': goog.isBoolean,
+  'scrollBarClassName': goog.isString,
+  'scrollBarHideDelay': rflect.ui.MomentumScroller.isNonNegative_,
+  'scrollBarHideTransition': goog.isString,
+  'pullToRefreshThreshold': rflect.ui.MomentumScroller.isNonNegative_,
+  'nearEndDistance': rflect.ui.MomentumScroller.isNonNegative_,
+  'snap': (aValue) => goog.object.containsValue(
+      rflect.ui.MomentumScroller.SnapMode, aValue),
+  'snapSelector': (aValue) => goog.isString(aValue) && aValue != '',
+  'observeSizes': goog.isBoolean,
+  'engine': (aValue) => goog.object.containsValue(
+      rflect.ui.MomentumScroller.Engine, aValue),
+  'interactiveScrollBar': goog.isBoolean,
+  'directionLock': goog.isBoolean,
+  'scrollChaining': goog.isBoolean,
+  'zoom': goog.isBoolean,
+  'minZoom': rflect.ui.MomentumScroller.isPositive_,
+  'maxZoom': rflect.ui.MomentumScroller.isPositive_,
+  'doubleTapZoom': rflect.ui.MomentumScroller.isPositive_,
+  'stickyHeaders': goog.isBoolean,
+  'stickySelector': (aValue) => goog.isString(aValue) && aValue != '',
+  'persistId': goog.isString,
+  'revealFocus': goog.isBoolean,
+  'focusMargin': rflect.ui.MomentumScroller.isNonNegative_,
+  'label': goog.isString,
+  'gestures': goog.isBoolean,
+  'longPressDelay': rflect.ui.MomentumScroller.isNonNegative_,
+  'clickMode': (aValue) => goog.object.containsValue(
+      rflect.ui.MomentumScroller.ClickMode, aValue),
+  'tapHighlightClass': (aValue) => goog.isString(aValue) &&
+      !/\s/.test(aValue),
+  'resistance': rflect.ui.MomentumScroller.isPositive_,
+  'edgeGlow': goog.isBoolean,
+  'edgeGlowColor': (aValue) => goog.isString(aValue) && aValue != '',
+  'edgeGlowSize': rflect.ui.MomentumScroller.isPositive_
+};
+
+
+/**
+ * Throws if option is unknown or its value is out of range.
+ * @param {string} aName Option name.
+ * @param {*} aValue Option value.
+ * @private
+ */
+rflect.ui.MomentumScroller.validateOption_ = function(aName, aValue) {
+  const validator = rflect.ui.MomentumScroller.OPTION_VALIDATORS_[aName];
+  if (!validator)
+    throw new Error(`MomentumScroller: unknown option "${aName}".`);
+  if (!validator(aValue))
+    throw new Error(
+        `MomentumScroller: invalid value "${aValue}" for option "${aName}".`);
+}
+
+
+/**
+ * @type {number}
+ */
+rflect.ui.MomentumScroller.SCROLLBAR_MIN_HEIGHT = 5;
+
+
+/**
+ * @type {number}
+ */
+rflect.ui.MomentumScroller.SCROLLBAR_THICKNESS = 3;
+
+
+/**
+ * @type {number}
+ */
+rflect.ui.MomentumScroller.SCROLLBAR_HIDE_DELAY = 0;
+
+
+/**
+ * @type {string}
+ */
+rflect.ui.MomentumScroller.SCROLLBAR_HIDE_TRANSITION = 'opacity .2s';
+
+
+/**
+ * Thickness of area which catches pointer for interactive scrollbar, and how
+ * much thumb's hit area is larger than thumb along track, in px.
+ * @type {number}
+ */
+rflect.ui.MomentumScroller.SCROLLBAR_HIT_AREA = 20;
+
+
+/**
+ * @type {string}
+ */
+rflect.ui.MomentumScroller.STANDARD_SCROLL_BAR_COLOR =
+    rflect.ui.MomentumScroller.COLOR_DEBUG ?
+        '#000' :
+        'rgb(181, 181, 181)';
+
+
+/**
+ * Stylesheet with base classes for scrollbar. It's shared by all instances,
+ * so sizes and colors, which are options, are set on elements instead.
+ * @type {Array.<string>}
+ */
+rflect.ui.MomentumScroller.SCROLLBAR_STYLESHEET = [
+  `
+  .scrollbar-vertical-cont {
+    box-sizing: border-box;
+    position: absolute;
+    top: 0;
+    right: 0;
+    transition: ${rflect.ui.MomentumScroller.SCROLLBAR_HIDE_TRANSITION};
+    opacity: 0;
+    z-index: 10;
+  }
+  `,`
+  .scrollbar-hidden {
+    opacity: 0;
+  }
+  `,`
+  .scrollbar-vertical-edge {
+    display: none;
+    box-sizing: border-box;
+  }
+  `,`
+  .scrollbar-vertical-line {
+    box-sizing: border-box;
+    height: 1px;
+  }
+  `,`
+  .scrollbar-horizontal-cont {
+    display: flex;
+    align-items: flex-start;
+    box-sizing: border-box;
+    position: absolute;
+    bottom: 0;
+    left: 0;
+    transition: ${rflect.ui.MomentumScroller.SCROLLBAR_HIDE_TRANSITION};
+    opacity: 0;
+    z-index: 10;
+  }
+  `,`
+  .scrollbar-horizontal-line {
+    flex: none;
+    box-sizing: border-box;
+    width: 1px;
+  }
+  `,`
+  .scrollbar-horizontal-edge {
+    display: none;
+    flex: none;
+    box-sizing: border-box;
+  }
+  `,`
+  .scrollbar-rounded .scrollbar-vertical-edge,
+  .scrollbar-rounded .scrollbar-horizontal-edge {
+    display: block;
+  }
+  `,`
+  .scrollbar-vertical-track {
+    position: absolute;
+    top: 0;
+    right: 0;
+    width: ${rflect.ui.MomentumScroller.SCROLLBAR_HIT_AREA}px;
+    height: 100%;
+    z-index: 11;
+  }
+  `,`
+  .scrollbar-horizontal-track {
+    position: absolute;
+    bottom: 0;
+    left: 0;
+    width: 100%;
+    height: ${rflect.ui.MomentumScroller.SCROLLBAR_HIT_AREA}px;
+    z-index: 11;
+  }
+  `,`
+  .sticky-header {
+    position: relative;
+    z-index: 1;
+  }
+  `,`
+  .edge-glow {
+    position: absolute;
+    opacity: 0;
+    pointer-events: none;
+    z-index: 9;
+  }
+  `,`
+  .edge-glow-fading {
+    transition: opacity 300ms, transform 300ms;
+  }
+  `,`
+  .edge-glow-top, .edge-glow-bottom {
+    left: 0;
+    width: 100%;
+  }
+  `,`
+  .edge-glow-left, .edge-glow-right {
+    top: 0;
+    height: 100%;
+  }
+  `,`
+  .edge-glow-top {
+    top: 0;
+    transform-origin: 50% 0;
+  }
+  `,`
+  .edge-glow-bottom {
+    bottom: 0;
+    transform-origin: 50% 100%;
+  }
+  `,`
+  .edge-glow-left {
+    left: 0;
+    transform-origin: 0 50%;
+  }
+  `,`
+  .edge-glow-right {
+    right: 0;
+    transform-origin: 100% 50%;
+  }
+  `
+];
+
+
+/**
+ * Global instances counter.
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.instancesCount_ = 0;
+
+
+/**
+ * Global listener key.
+ * @type {goog.events.Key}
+ * @private
+ */
+rflect.ui.MomentumScroller.documentListenerKey_;
+
+
+/**
+ * Whether this behavior is enabled.
+ * @type {boolean}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.enabled_;
+
+
+/**
+ * Id of pointer which drags content.
+ * @type {?number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.activePointerId_ = null;
+
+
+/**
+ * Id of second pointer, which pinches content together with active one.
+ * @type {?number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.pinchPointerId_ = null;
+
+
+/**
+ * Identifier of touch which drags content.
+ * @type {?number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.activeTouchId_ = null;
+
+
+/**
+ * Identifier of second touch, which pinches content together with active one.
+ * @type {?number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.pinchTouchId_ = null;
+
+
+/**
+ * Last coordinates of active and pinch pointers, by id.
+ * @type {!Object<number, !goog.math.Coordinate>}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.pointerPoints_;
+
+
+/**
+ * Scale of content.
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.zoom_ = 1;
+
+
+/**
+ * State to restore once scroller is attached and its content is measured
+ * with non-zero size.
+ * @type {Object}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.pendingState_ = null;
+
+
+/**
+ * Whether content is moving, between SCROLL_START and SCROLL_END events.
+ * @type {boolean}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.scrolling_ = false;
+
+
+/**
+ * Whether drag passed threshold, between DRAG_START and DRAG_END events.
+ * @type {boolean}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.dragStarted_ = false;
+
+
+/**
+ * Whether momentum is in progress, between MOMENTUM_START and MOMENTUM_END
+ * events.
+ * @type {boolean}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.momentumActive_ = false;
+
+
+/**
+ * Whether CSS transition is set on content.
+ * @type {boolean}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.transitioning_ = false;
+
+
+/**
+ * Timeout id after which missing transitionend is assumed, 0 if there's no
+ * transition.
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.transitionTimeout_ = 0;
+
+
+/**
+ * Id of animation frame in which position of content is read during
+ * transitions, 0 if position isn't tracked.
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.positionTrackingId_ = 0;
+
+
+/**
+ * Position of content and time of last SCROLL event.
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.lastScrollOffsetX_ = 0;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.lastScrollOffsetY_ = 0;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.lastScrollMoment_ = 0;
+
+
+/**
+ * Resolves promise of animated scroll which is in progress.
+ * @type {?function(boolean)}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.scrollResolver_ = null;
+
+
+/**
+ * Element shown above content when it's pulled down, null if pull-to-refresh
+ * isn't set up.
+ * @type {Element}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.pullIndicator_ = null;
+
+
+/**
+ * Height of pull indicator, measured when it's attached.
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.pullIndicatorHeight_ = 0;
+
+
+/**
+ * Called when content is released past pull-to-refresh threshold.
+ * @type {?function(): *}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.onRefresh_ = null;
+
+
+/**
+ * Progress of pull reported with last PULL event.
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.pullProgress_ = 0;
+
+
+/**
+ * Whether content is held at indicator height until refresh is finished.
+ * @type {boolean}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.refreshing_ = false;
+
+
+/**
+ * Called when content gets near its end, null if there's no handler.
+ * @type {?function(): *}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.onNearEnd_ = null;
+
+
+/**
+ * Whether content is within near end distance, as of last SCROLL event.
+ * @type {boolean}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.nearEnd_ = false;
+
+
+/**
+ * Whether promise of near end handler is pending.
+ * @type {boolean}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.loading_ = false;
+
+
+/**
+ * Velocity of content as of last SCROLL event, px/ms.
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.trackedVelocityX_ = 0;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.trackedVelocityY_ = 0;
+
+
+/**
+ * Velocities with which momentum was started.
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.momentumVelocityX_ = 0;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.momentumVelocity_ = 0;
+
+
+/**
+ * Moment when momentum transition was started.
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.momentumStartTime_ = 0;
+
+
+/**
+ * Duration of momentum transition, ms.
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.momentumDuration_ = 0;
+
+
+/**
+ * Index of snap point reported with last PAGE_CHANGE event.
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.pageIndex_ = 0;
+
+
+/**
+ * Observer of content and frame sizes.
+ * @type {ResizeObserver}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.resizeObserver_ = null;
+
+
+/**
+ * Observer of content changes, used where there's no ResizeObserver.
+ * @type {MutationObserver}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.mutationObserver_ = null;
+
+
+/**
+ * Id of animation frame in which sizes are checked, 0 if check isn't
+ * scheduled.
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.sizeCheckId_ = 0;
+
+
+/**
+ * Id of next animation frame of animation frame engine, 0 if content isn't
+ * animated by it.
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.frameId_ = 0;
+
+
+/**
+ * Whether pointer is over interactive scrollbar.
+ * @type {boolean}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.scrollBarHovered_ = false;
+
+
+/**
+ * Whether scrollbar thumb is dragged.
+ * @type {boolean}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.thumbDragging_ = false;
+
+
+/**
+ * Whether dragged thumb is horizontal one.
+ * @type {boolean}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.thumbDragHorizontal_ = false;
+
+
+/**
+ * Pointer coordinate along track and content position at the start of thumb
+ * drag.
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.thumbDragStartPoint_ = 0;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.thumbDragStartOffset_ = 0;
+
+
+/**
+ * Gesture which this scroller took part in last.
+ * @type {rflect.ui.Gesture}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.gesture_ = null;
+
+
+/**
+ * Whether this scroller yielded current gesture to another one or to native
+ * scrolling.
+ * @type {boolean}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.gestureYielded_ = false;
+
+
+/**
+ * Axis which drag is locked to: true for horizontal, false for vertical,
+ * null if drag isn't locked yet.
+ * @type {?boolean}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.lockedAxis_ = null;
+
+
+/**
+ * Whether animation by wheel click or key press is in progress.
+ * @type {boolean}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.stepAnimating_ = false;
+
+
+/**
+ * Timeout id after which trackpad stream is considered over, 0 if there's no
+ * stream.
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.wheelStreamTimeout_ = 0;
+
+
+/**
+ * Content offsets at the start of trackpad stream.
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.wheelStreamStartX_ = 0;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.wheelStreamStartY_ = 0;
+
+
+/**
+ * Sums of trackpad deltas since the start of stream.
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.wheelAccumulatedX_ = 0;
+
+
+/**
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.wheelAccumulatedY_ = 0;
+
+
+/**
+ * Magnitude of previous trackpad delta.
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.wheelLastMagnitude_ = 0;
+
+
+/**
+ * How many trackpad deltas in a row were decreasing.
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.wheelDecreasingCount_ = 0;
+
+
+/**
+ * Whether rest of trackpad inertia is ignored because content bounced.
+ * @type {boolean}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.wheelInertiaIgnored_ = false;
+
+
+/**
+ * Whether to cancel click which follows mouse drag.
+ * @type {boolean}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.suppressNextClick_ = false;
+
+
+/**
+ * Timeout id after which glow lit by momentum is changed: lit when momentum
+ * hits bound or faded after that, 0 if there's none.
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.edgeGlowTimeout_ = 0;
+
+
+/**
+ * Start touch Y offset.
+ * @type {number}
+ */
+rflect.ui.MomentumScroller.prototype.startTouchY = 0;
+
+
+/**
+ * Start touch X offset.
+ * @type {number}
+ */
+rflect.ui.MomentumScroller.prototype.startTouchX = 0;
+
+
+/**
+ * Position of content.
+ * @type {number}
+ */
+rflect.ui.MomentumScroller.prototype.contentOffsetY = 0;
+
+
+/**
+ * Horizontal position of content.
+ * @type {number}
+ */
+rflect.ui.MomentumScroller.prototype.contentOffsetX = 0;
+
+
+/**
+ * At what position content is initially placed.
+ * @type {number}
+ */
+rflect.ui.MomentumScroller.prototype.contentStartOffsetY = 0;
+
+
+/**
+ * At what horizontal position content is initially placed.
+ * @type {number}
+ */
+rflect.ui.MomentumScroller.prototype.contentStartOffsetX = 0;
+
+
+/**
+ * Current vertical coordinate of drag.
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.currentPoint_ = 0;
+
+
+/**
+ * Current horizontal coordinate of drag.
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.currentPointX_ = 0;
+
+
+/**
+ * Vertical velocity with which content reaches bounds during momentum.
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.endMomentumVelocity_ = 0;
+
+
+/**
+ * Horizontal velocity with which content reaches bounds during momentum.
+ * @type {number}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.endMomentumVelocityX_ = 0;
+
+
+/**
+ * @type {boolean}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.isDragging_ = false;
+
+
+/**
+ * @type {boolean}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.isOutOfBounds_ = false;
+
+
+/**
+ * Whether momentum scrolling is in progress.
+ * @type {boolean}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.isDecelerating_ = false;
+
+
+/**
+ * Whether stop propagation is needed on touch end.
+ * @type {boolean}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.stopPropagationOnTouchEnd_ = false;
+
+
+/**
+ * @type {boolean}
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.scrollBarIsEnabled_ = true;
+
+
+/**
+ * What kind of out-of-bounds transition currently is in progress.
+ * @type {rflect.ui.MomentumScroller.QUEUED_TRANSITION_STAGE}
+ */
+rflect.ui.MomentumScroller.prototype.queuedTransitionStage_ =
+    rflect.ui.MomentumScroller.QUEUED_TRANSITION_STAGE.NONE;
+
+
+/**
+ * @type {Element}
+ */
+rflect.ui.MomentumScroller.prototype.element;
+
+
+/**
+ * @type {Element}
+ */
+rflect.ui.MomentumScroller.prototype.frameElement;
+
+
+/**
+ * @type {Element}
+ */
+rflect.ui.MomentumScroller.prototype.scrollBarContainer_;
+
+
+/**
+ * @type {Element}
+ */
+rflect.ui.MomentumScroller.prototype.scrollBarLine_;
+
+
+/**
+ * @type {Element}
+ */
+rflect.ui.MomentumScroller.prototype.horizontalScrollBarContainer_;
+
+
+/**
+ * @type {Element}
+ */
+rflect.ui.MomentumScroller.prototype.horizontalScrollBarLine_;
+
+
+/**
+ * Rounded ends of scrollbar line, top one first.
+ * @type {Array<Element>}
+ */
+rflect.ui.MomentumScroller.prototype.scrollBarCaps_;
+
+
+/**
+ * Rounded ends of horizontal scrollbar line, left one first.
+ * @type {Array<Element>}
+ */
+rflect.ui.MomentumScroller.prototype.horizontalScrollBarCaps_;
+
+
+/**
+ * @type {Element}
+ */
+rflect.ui.MomentumScroller.prototype.scrollBarTrack_;
+
+
+/**
+ * @type {Element}
+ */
+rflect.ui.MomentumScroller.prototype.horizontalScrollBarTrack_;
+
+
+/**
+ * @type {goog.math.Size}
+ */
+rflect.ui.MomentumScroller.prototype.elementSize;
+
+
+/**
+ * @type {goog.math.Size}
+ */
+rflect.ui.MomentumScroller.prototype.frameElementSize;
+
+
+/**
+ * @type {{position: string, overflow: string, touchAction: string,
+ *     tabIndex: ?string, role: ?string, ariaLabel: ?string}}
+ */
+rflect.ui.MomentumScroller.prototype.frameElementInitialStyle;
+
+
+/**
+ * @type {number} Scrollbar hide delay timeout id.
+ */
+rflect.ui.MomentumScroller.prototype.scrollBarShowTimeout_;
+
+
+/**
+ * @param {Element} aElement Element to set.
+ */
+rflect.ui.MomentumScroller.prototype.setElement = function(aElement) {
+  this.element = aElement;
+}
+
+
+/**
+ * @param {Element} aFrameElement Frame element to set.
+ */
+rflect.ui.MomentumScroller.prototype.setFrameElement = function(aFrameElement) {
+  this.frameElement = aFrameElement;
+}
+
+
+/**
+ * @param {Element} aElement Element to set.
+ * @param {Element} aFrameElement Frame element to set.
+ */
+rflect.ui.MomentumScroller.prototype.setElements = function(aElement,
+                                                            aFrameElement) {
+  this.setElement(aElement);
+  this.setFrameElement(aFrameElement);
+}
+
+
+/**
+ * Enables scroll bar.
+ * @param {boolean} aEnabled Whether to enable scroll bar.
+ */
+rflect.ui.MomentumScroller.prototype.setScrollBarEnabled = function(aEnabled) {
+  this.scrollBarIsEnabled_ = aEnabled;
+}
+
+
+/**
+ * Returns whether scroll bar is enabled.
+ * @return {boolean} aEnabled Whether scroll bar is enabled.
+ */
+rflect.ui.MomentumScroller.prototype.isScrollBarEnabled = function() {
+  return this.scrollBarIsEnabled_;
+}
+
+
+/**
+ * Updates options. Could be called on attached scroller, in which case
+ * changes are applied right away; input and enable modes take effect on next
+ * <code>add</code>. Throws if any option is unknown or out of range, leaving
+ * options intact.
+ * @param {Object} aOptions Options to change, by name.
+ * @see {rflect.ui.MomentumScroller.getDefaultOptions}
+ */
+rflect.ui.MomentumScroller.prototype.updateOptions = function(aOptions) {
+  goog.object.forEach(aOptions, (aValue, aName) => {
+    rflect.ui.MomentumScroller.validateOption_(aName, aValue);
+  });
+
+  const enabled = this.isEnabled();
+  const axisChanged = 'axis' in aOptions &&
+      aOptions['axis'] != this.options_['axis'];
+  const scrollBarChanged = axisChanged || ('interactiveScrollBar' in aOptions &&
+      aOptions['interactiveScrollBar'] != this.options_['interactiveScrollBar']);
+  if (enabled && scrollBarChanged) {
+    this.removeScrollBar();
+  }
+
+  goog.object.extend(this.options_, aOptions);
+
+  if (enabled) {
+    this.updateScrollBarStyles_();
+    if ('observeSizes' in aOptions) {
+      this.unobserveSizes_();
+      if (this.getBooleanOption_('observeSizes')) {
+        this.observeSizes_();
+      }
+    }
+    if (scrollBarChanged && !axisChanged) {
+      this.addScrollBar();
+    }
+    if ('scrollBarAlwaysVisible' in aOptions) {
+      if (this.getBooleanOption_('scrollBarAlwaysVisible')) {
+        this.showScrollBar(true);
+      } else if (!this.scrolling_) {
+        this.showScrollBarDelayed(false);
+      }
+    }
+    if ((axisChanged || 'directionLock' in aOptions || 'zoom' in aOptions) &&
+        this.usesPointerEvents_()) {
+      this.frameElement.style.touchAction = this.getTouchAction_();
+    }
+    if ('zoom' in aOptions || 'minZoom' in aOptions ||
+        'maxZoom' in aOptions) {
+      this.stopMomentum();
+      this.zoom_ = this.getBooleanOption_('zoom') ?
+          this.clampZoom_(this.zoom_) : 1;
+      this.animateWithinBoundsXY(this.contentOffsetX, this.contentOffsetY);
+      if (!this.isDragging_) {
+        this.finishScrolling_();
+      }
+    }
+    if (axisChanged || 'stickyHeaders' in aOptions ||
+        'stickySelector' in aOptions) {
+      this.measureStickyHeaders_();
+    }
+    if ('label' in aOptions) {
+      this.updateLabel_();
+    }
+    if ('edgeGlow' in aOptions) {
+      if (this.edgeGlows_) {
+        this.removeEdgeGlows_();
+      }
+      if (this.getBooleanOption_('edgeGlow')) {
+        this.addEdgeGlows_();
+      }
+    } else if (this.edgeGlows_ && ('edgeGlowColor' in aOptions ||
+        'edgeGlowSize' in aOptions)) {
+      this.updateEdgeGlowStyles_();
+    }
+    if (axisChanged) {
+      this.stopMomentum();
+      this.addScrollBar();
+      // Brings content within bounds of new axes.
+      this.animateWithinBoundsXY(this.scrollsHorizontally() ?
+          this.contentOffsetX : 0, this.scrollsVertically() ?
+          this.contentOffsetY : 0);
+      if (!this.isDragging_) {
+        this.finishScrolling_();
+      }
+    }
+  }
+}
+
+
+/**
+ * @return {!Object<string, *>} Copy of current options, by name.
+ */
+rflect.ui.MomentumScroller.prototype.getOptions = function() {
+  return goog.object.clone(this.options_);
+}
+
+
+/**
+ * @param {string} aName Option name.
+ * @return {number} Value of numeric option.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.getNumberOption_ = function(aName) {
+  return /** @type {number} */ (this.options_[aName]);
+}
+
+
+/**
+ * @param {string} aName Option name.
+ * @return {boolean} Value of boolean option.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.getBooleanOption_ = function(aName) {
+  return /** @type {boolean} */ (this.options_[aName]);
+}
+
+
+/**
+ * @param {string} aName Option name.
+ * @return {string} Value of string option.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.getStringOption_ = function(aName) {
+  return /** @type {string} */ (this.options_[aName]);
+}
+
+
+/**
+ * Sets axes along which content is scrolled.
+ * @param {rflect.ui.MomentumScroller.Axis} aAxis Axis to set.
+ * @see {updateOptions}
+ */
+rflect.ui.MomentumScroller.prototype.setAxis = function(aAxis) {
+  this.updateOptions({'axis': aAxis});
+}
+
+
+/**
+ * @return {rflect.ui.MomentumScroller.Axis} Axes along which content is
+ * scrolled.
+ */
+rflect.ui.MomentumScroller.prototype.getAxis = function() {
+  return /** @type {rflect.ui.MomentumScroller.Axis} */ (
+      this.getStringOption_('axis'));
+}
+
+
+/**
+ * @return {boolean} Whether content is scrolled vertically.
+ */
+rflect.ui.MomentumScroller.prototype.scrollsVertically = function() {
+  return this.getAxis() != rflect.ui.MomentumScroller.Axis.HORIZONTAL;
+}
+
+
+/**
+ * @return {boolean} Whether content is scrolled horizontally.
+ */
+rflect.ui.MomentumScroller.prototype.scrollsHorizontally = function() {
+  return this.getAxis() != rflect.ui.MomentumScroller.Axis.VERTICAL;
+}
+
+
+/**
+ * Sets kind of input to listen to. Takes effect on next <code>add</code>.
+ * @param {rflect.ui.MomentumScroller.InputMode} aInputMode Input mode to set.
+ */
+rflect.ui.MomentumScroller.prototype.setInputMode = function(aInputMode) {
+  this.updateOptions({'inputMode': aInputMode});
+}
+
+
+/**
+ * @return {rflect.ui.MomentumScroller.InputMode} Kind of input scroller
+ * listens to.
+ */
+rflect.ui.MomentumScroller.prototype.getInputMode = function() {
+  return /** @type {rflect.ui.MomentumScroller.InputMode} */ (
+      this.getStringOption_('inputMode'));
+}
+
+
+/**
+ * Sets conditions under which scroller is enabled. Takes effect on next
+ * <code>add</code>.
+ * @param {rflect.ui.MomentumScroller.EnableMode} aEnableMode Enable mode to
+ * set.
+ */
+rflect.ui.MomentumScroller.prototype.setEnableMode = function(aEnableMode) {
+  this.updateOptions({'enableMode': aEnableMode});
+}
+
+
+/**
+ * @return {rflect.ui.MomentumScroller.EnableMode} Conditions under which
+ * scroller is enabled.
+ */
+rflect.ui.MomentumScroller.prototype.getEnableMode = function() {
+  return /** @type {rflect.ui.MomentumScroller.EnableMode} */ (
+      this.getStringOption_('enableMode'));
+}
+
+
+/**
+ * @return {boolean} Whether pointer events are listened to instead of touch
+ * events.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.usesPointerEvents_ = function() {
+  return this.getInputMode() == rflect.ui.MomentumScroller.InputMode.POINTER &&
+      !!window.PointerEvent;
+}
+
+
+/**
+ * Enables momentum scrolling. Call setElement before.
+ * @see {setElement}
+ * @param {boolean} aEnabled Whether to enable behavior.
+ * @param {boolean} useScrollPos Whether to use native scroll top.
+ */
+rflect.ui.MomentumScroller.prototype.enable = function(aEnabled, useScrollPos) {
+  if (aEnabled &&
+      !rflect.ui.MomentumScroller.isSupported(this.getEnableMode()))
+    return;
+
+  const enabled = this.isEnabled();
+  if (enabled == aEnabled)
+    return;
+
+  this.enabled_ = aEnabled;
+
+  if (aEnabled) {
+    this.setUpStyles(++rflect.ui.MomentumScroller.instancesCount_ == 1);
+    this.calculateSizes();
+    this.setUpPosition(useScrollPos);
+    this.addScrollBar();
+    if (this.pullIndicator_) {
+      this.addPullIndicator_();
+    }
+    if (this.getBooleanOption_('edgeGlow')) {
+      this.addEdgeGlows_();
+    }
+    this.enterDocument();
+    // Until content is laid out, restore waits for size change.
+    this.pendingState_ = this.pendingState_ || this.loadState_();
+    this.applyPendingState_();
+  } else {
+    this.saveState_();
+    this.exitDocument();
+    this.removeScrollBar();
+    if (this.pullIndicator_) {
+      this.removePullIndicator_();
+    }
+    if (this.edgeGlows_) {
+      this.removeEdgeGlows_();
+    }
+    this.restorePosition(useScrollPos);
+    this.restoreStyles(--rflect.ui.MomentumScroller.instancesCount_ == 0);
+
+    this.element = null;
+    this.frameElement = null;
+  }
+}
+
+
+/**
+ * @private
+ * @param {boolean} useScrollPos Whether to use native scroll top.
+ */
+rflect.ui.MomentumScroller.prototype.setUpPosition = function(useScrollPos) {
+  if ('scroll' == this.frameElementInitialStyle.overflow) {
+    if (useScrollPos) {
+      this.animateWithinBoundsXY(-this.frameElement.scrollLeft,
+          -this.frameElement.scrollTop);
+    } else {
+      this.animateWithinBoundsXY(this.contentOffsetX, this.contentOffsetY);
+    }
+    this.frameElement.scrollTop = 0;
+    this.frameElement.scrollLeft = 0;
+  } else {
+    this.animateWithinBoundsXY(this.contentOffsetX, this.contentOffsetY);
+  }
+}
+
+
+/**
+ * @private
+ * @param {boolean} useScrollPos Whether to use native scroll top.
+ */
+rflect.ui.MomentumScroller.prototype.restorePosition = function(useScrollPos) {
+  if (useScrollPos && 'scroll' == this.frameElementInitialStyle.overflow) {
+    this.frameElement.scrollTop = this.getScrollTop();
+    this.frameElement.scrollLeft = this.getScrollLeft();
+  }
+  rflect.browser.css.setTransform(this.element, '');
+  this.stickyHeaders_.clear();
+}
+
+
+/**
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.addScrollBar = function() {
+  this.updateScrollBarStyles_();
+  const interactive = this.getBooleanOption_('interactiveScrollBar');
+  if (this.scrollsVertically()) {
+    rflect.browser.css.setTransform(this.getScrollBarLine(),
+        `scaleY(${this.getScrollBarLineHeight()})`);
+    this.frameElement.appendChild(this.getScrollBarContainer());
+    if (interactive) {
+      this.addScrollBarTrack_(this.getScrollBarTrack_(false));
+    }
+  }
+  if (this.scrollsHorizontally()) {
+    rflect.browser.css.setTransform(this.getHorizontalScrollBarLine(),
+        `scaleX(${this.getScrollBarLineWidth()})`);
+    this.frameElement.appendChild(this.getHorizontalScrollBarContainer());
+    if (interactive) {
+      this.addScrollBarTrack_(this.getScrollBarTrack_(true));
+    }
+  }
+  if (this.getBooleanOption_('scrollBarAlwaysVisible')) {
+    this.showScrollBar(true);
+  }
+}
+
+
+/**
+ * Appends track of interactive scrollbar and listens to it.
+ * @param {Element} aTrack Track.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.addScrollBarTrack_ = function(aTrack) {
+  this.frameElement.appendChild(aTrack);
+  this.listen(aTrack, window.PointerEvent ? goog.events.EventType.POINTERDOWN :
+      [goog.events.EventType.MOUSEDOWN, goog.events.EventType.TOUCHSTART],
+      this.onScrollBarTrackDown_);
+  this.listen(aTrack, goog.events.EventType.MOUSEENTER,
+      this.onScrollBarTrackEnter_);
+  this.listen(aTrack, goog.events.EventType.MOUSELEAVE,
+      this.onScrollBarTrackLeave_);
+}
+
+
+/**
+ * Removes track of interactive scrollbar.
+ * @param {Element} aTrack Track.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.removeScrollBarTrack_ = function(aTrack) {
+  this.unlisten(aTrack, window.PointerEvent ?
+      goog.events.EventType.POINTERDOWN : [goog.events.EventType.MOUSEDOWN,
+      goog.events.EventType.TOUCHSTART], this.onScrollBarTrackDown_);
+  this.unlisten(aTrack, goog.events.EventType.MOUSEENTER,
+      this.onScrollBarTrackEnter_);
+  this.unlisten(aTrack, goog.events.EventType.MOUSELEAVE,
+      this.onScrollBarTrackLeave_);
+  goog.dom.removeNode(aTrack);
+}
+
+
+/**
+ * Applies scrollbar options to elements of this instance.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.updateScrollBarStyles_ = function() {
+  const thickness = this.getNumberOption_('scrollBarThickness') + 'px';
+  const inset = this.getNumberOption_('scrollBarInset') + 'px';
+  const color = this.getStringOption_('scrollBarColor');
+  const containers = [this.getScrollBarContainer(),
+      this.getHorizontalScrollBarContainer()];
+  this.getScrollBarContainer().style.paddingRight = inset;
+  this.getScrollBarLine().style.width = thickness;
+  this.getHorizontalScrollBarContainer().style.paddingBottom = inset;
+  this.getHorizontalScrollBarLine().style.height = thickness;
+
+  // Caps are squares which are rounded on their outer side.
+  const [topCap, bottomCap] = this.scrollBarCaps_;
+  const [leftCap, rightCap] = this.horizontalScrollBarCaps_;
+  [topCap, bottomCap, leftCap, rightCap].forEach((aCap) => {
+    aCap.style.width = aCap.style.height = thickness;
+  });
+  topCap.style.borderRadius = `${thickness} ${thickness} 0 0`;
+  bottomCap.style.borderRadius = `0 0 ${thickness} ${thickness}`;
+  leftCap.style.borderRadius = `${thickness} 0 0 ${thickness}`;
+  rightCap.style.borderRadius = `0 ${thickness} ${thickness} 0`;
+  containers.forEach((aContainer) => {
+    goog.dom.classlist.enable(aContainer, 'scrollbar-rounded',
+        this.getBooleanOption_('scrollBarRoundedCaps'));
+  });
+
+  // Empty color resets inline style, so that color from classes is used.
+  [this.getScrollBarLine(), this.getHorizontalScrollBarLine(), topCap,
+      bottomCap, leftCap, rightCap].forEach((aElement) => {
+    aElement.style.backgroundColor = color;
+  });
+
+  const classNames = this.getStringOption_('scrollBarClassName').split(' ').
+      filter((aClassName) => aClassName != '');
+  containers.forEach((aContainer) => {
+    goog.dom.classlist.removeAll(aContainer, this.scrollBarClassNames_);
+    goog.dom.classlist.addAll(aContainer, classNames);
+  });
+  this.scrollBarClassNames_ = classNames;
+}
+
+
+/**
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.removeScrollBar = function() {
+  this.endThumbDrag_();
+  this.scrollBarHovered_ = false;
+  this.removeScrollBarTrack_(this.getScrollBarTrack_(false));
+  this.removeScrollBarTrack_(this.getScrollBarTrack_(true));
   goog.dom.removeNode(this.getScrollBarContainer());
+  goog.dom.removeNode(this.getHorizontalScrollBarContainer());
+}
+
+
+/**
+ * @protected
+ */
+rflect.ui.MomentumScroller.prototype.resetInternal = function() {
+  if (this.element && this.frameElement) {
+    this.animateWithinBoundsXY(0, 0);
+  }
+
+  this.startTouchY = 0;
+  this.startTouchX = 0;
+  this.contentOffsetY = 0;
+  this.contentOffsetX = 0;
+  this.contentStartOffsetY = 0;
+  this.contentStartOffsetX = 0;
+}
+
+
+/**
+ * Attaches scroller.
+ * @param {Element} aElement Scrollable element to add scroller to.
+ * @param {boolean=} opt_useScrollPos Whether to set initial scroll position
+ * from frameElement's scrollTop.
+ * @param {Object=} opt_options Options to update before attaching.
+ * @see {updateOptions}
+ */
+rflect.ui.MomentumScroller.prototype.add = function(aElement,
+    opt_useScrollPos, opt_options) {
+  if (opt_options) {
+    this.updateOptions(opt_options);
+  }
+  this.setFrameElement(aElement);
+  this.setElement(goog.dom.getFirstElementChild(aElement));
+  this.enable(true, !!opt_useScrollPos);
+}
+
+
+/**
+ * Detaches scroller.
+ * @param {boolean=} opt_useScrollPos Whether to set frameElement's
+ * scrollTop after removal.
+ *
+ * This method saves <code>contentOffsetY</code>, so the next <code>add</code>
+ * call will restore scroll position. To prevent this, call <code>reset</code>
+ * before <code>add</code>.
+ */
+rflect.ui.MomentumScroller.prototype.remove = function(opt_useScrollPos) {
+  this.enable(false, !!opt_useScrollPos);
+}
+
+
+/**
+ * Detaches/attaches scroller losing scroll position, persisted one too.
+ */
+rflect.ui.MomentumScroller.prototype.reset = function() {
+  this.resetInternal();
+  this.pendingState_ = null;
+  if (this.getStringOption_('persistId')) {
+    this.saveState_();
+  }
+}
+
+
+/**
+ * @return {!Object<string, ?number>} Serializable state: scrollLeft,
+ * scrollTop, zoom and pageIndex, which is null without snap points.
+ */
+rflect.ui.MomentumScroller.prototype.getState = function() {
+  let pageIndex = null;
+  if (this.snaps_()) {
+    pageIndex = this.isEnabled() ? this.getPageIndex() : this.pageIndex_;
+  }
+  return {
+    'scrollLeft': this.getScrollLeft(),
+    'scrollTop': this.getScrollTop(),
+    'zoom': this.zoom_,
+    'pageIndex': pageIndex
+  };
+}
+
+
+/**
+ * Restores state got from <code>getState</code>, clamped against current
+ * bounds. Detached scroller applies it on <code>add</code>, and scroller
+ * with empty content once it's measured with non-zero size, e.g. on size
+ * change or <code>updateSizes</code> call.
+ * @param {Object} aState State to restore.
+ */
+rflect.ui.MomentumScroller.prototype.setState = function(aState) {
+  this.pendingState_ = aState;
+  this.applyPendingState_();
+}
+
+
+/**
+ * Applies pending state if content and frame are measured with non-zero
+ * sizes, so that state isn't clamped to empty bounds.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.applyPendingState_ = function() {
+  if (!this.pendingState_ || !this.isEnabled() || this.elementSize.isEmpty() ||
+      this.frameElementSize.isEmpty())
+    return;
+  const state = this.pendingState_;
+  this.pendingState_ = null;
+  this.applyState_(state);
+}
+
+
+/**
+ * Moves content to position and zoom of state. With snap points, position
+ * along pages is taken from page index, which survives size changes.
+ * @param {!Object} aState State to apply.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.applyState_ = function(aState) {
+  this.endWheelStream_();
+  this.stopMomentum();
+  if (this.getBooleanOption_('zoom') && goog.isNumber(aState['zoom'])) {
+    this.zoom_ = this.clampZoom_(aState['zoom']);
+  }
+
+  let offsetX = goog.isNumber(aState['scrollLeft']) ?
+      -aState['scrollLeft'] : this.contentOffsetX;
+  let offsetY = goog.isNumber(aState['scrollTop']) ?
+      -aState['scrollTop'] : this.contentOffsetY;
+  if (this.snaps_() && goog.isNumber(aState['pageIndex'])) {
+    const horizontal = this.pagesAreHorizontal_();
+    const positions = this.getSnapPositions_(horizontal);
+    if (positions.length) {
+      const position = positions[goog.math.clamp(aState['pageIndex'], 0,
+          positions.length - 1)];
+      if (horizontal) {
+        offsetX = position;
+      } else {
+        offsetY = position;
+      }
+    }
+  }
+  this.animateWithinBoundsXY(offsetX, offsetY);
+  this.finishScrolling_();
+}
+
+
+/**
+ * @return {string} Key of session storage under which state is persisted.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.getStorageKey_ = function() {
+  return rflect.ui.MomentumScroller.STORAGE_KEY_PREFIX +
+      this.getStringOption_('persistId');
+}
+
+
+/**
+ * Saves state to session storage, if persistence is on. While restore is
+ * pending, stored state is kept as is.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.saveState_ = function() {
+  if (!this.getStringOption_('persistId') || this.pendingState_)
+    return;
+  try {
+    window.sessionStorage.setItem(this.getStorageKey_(),
+        JSON.stringify(this.getState()));
+  } catch (e) {
+    // Storage could be disabled or full, then position just isn't kept.
+    if (goog.DEBUG)
+      console.log('saveState_ failed: ', e);
+  }
+}
+
+
+/**
+ * @return {Object} State saved to session storage, or null if there's none
+ * or persistence is off.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.loadState_ = function() {
+  if (!this.getStringOption_('persistId'))
+    return null;
+  try {
+    const json = window.sessionStorage.getItem(this.getStorageKey_());
+    return json ? /** @type {Object} */ (JSON.parse(json)) : null;
+  } catch (e) {
+    if (goog.DEBUG)
+      console.log('loadState_ failed: ', e);
+    return null;
+  }
+}
+
+
+/**
+ * @return {number} Scroll top as in DOM.
+ */
+rflect.ui.MomentumScroller.prototype.getScrollTop = function() {
+  return isNaN(this.contentOffsetY) || this.contentOffsetY == 0 ? 0 :
+      -this.contentOffsetY;
+}
+
+
+/**
+ * @param {number} aScrollTop Scroll top as in DOM.
+ */
+rflect.ui.MomentumScroller.prototype.setScrollTop = function(aScrollTop) {
+  let scrollTop = isNaN(aScrollTop) || aScrollTop == 0 ? 0 : -aScrollTop;
+  this.animateWithinBounds(scrollTop);
+}
+
+
+/**
+ * @return {number} Scroll left as in DOM.
+ */
+rflect.ui.MomentumScroller.prototype.getScrollLeft = function() {
+  return isNaN(this.contentOffsetX) || this.contentOffsetX == 0 ? 0 :
+      -this.contentOffsetX;
+}
+
+
+/**
+ * @param {number} aScrollLeft Scroll left as in DOM.
+ */
+rflect.ui.MomentumScroller.prototype.setScrollLeft = function(aScrollLeft) {
+  let scrollLeft = isNaN(aScrollLeft) || aScrollLeft == 0 ? 0 : -aScrollLeft;
+  this.animateWithinBoundsXY(scrollLeft, this.contentOffsetY);
+}
+
+
+/**
+ * Smoothly scrolls content to position.
+ * Options are: duration - in ms; easing - CSS timing function; scrollLeft -
+ * horizontal position to scroll to, current one by default.
+ * @param {number} aScrollTop Scroll top as in DOM.
+ * @param {Object=} opt_options Options of animation.
+ * @return {!Promise<boolean>} Promise which is resolved with true when
+ * content gets to position, or with false if movement is interrupted by
+ * touch or another scroll.
+ */
+rflect.ui.MomentumScroller.prototype.scrollTo = function(aScrollTop,
+    opt_options) {
+  const options = opt_options || {};
+  const scrollLeft = goog.isNumber(options['scrollLeft']) ?
+      options['scrollLeft'] : this.getScrollLeft();
+  return this.scrollToXY_(scrollLeft, aScrollTop, options);
+}
+
+
+/**
+ * Smoothly scrolls content by delta.
+ * Options are the same as for <code>scrollTo</code>, except that deltaX -
+ * horizontal delta - is used instead of scrollLeft.
+ * @param {number} aDeltaY How much to add to scroll top.
+ * @param {Object=} opt_options Options of animation.
+ * @return {!Promise<boolean>} Promise which is resolved with true when
+ * content gets to position, or with false if movement is interrupted.
+ * @see {scrollTo}
+ */
+rflect.ui.MomentumScroller.prototype.scrollBy = function(aDeltaY,
+    opt_options) {
+  const options = opt_options || {};
+  const deltaX = goog.isNumber(options['deltaX']) ? options['deltaX'] : 0;
+  return this.scrollToXY_(this.getScrollLeft() + deltaX,
+      this.getScrollTop() + aDeltaY, options);
+}
+
+
+/**
+ * Smoothly scrolls content so that its descendant becomes visible.
+ * Options are the same as for <code>scrollTo</code>, plus align - how
+ * element is aligned within frame, see Align, START by default.
+ * @param {Element} aElement Descendant of content.
+ * @param {Object=} opt_options Options of animation.
+ * @return {!Promise<boolean>} Promise which is resolved with true when
+ * content gets to position, or with false if movement is interrupted.
+ * @see {scrollTo}
+ */
+rflect.ui.MomentumScroller.prototype.scrollIntoView = function(aElement,
+    opt_options) {
+  const options = opt_options || {};
+  const align = options['align'] || rflect.ui.MomentumScroller.Align.START;
+  if (!goog.object.containsValue(rflect.ui.MomentumScroller.Align, align))
+    throw new Error(`MomentumScroller: invalid align "${align}".`);
+  if (!this.isEnabled())
+    return Promise.resolve(false);
+
+  // Both rectangles are transformed with content, so their difference is
+  // position within content.
+  const position = goog.style.getRelativePosition(aElement, this.element);
+  const size = goog.style.getSize(aElement).scale(this.zoom_);
+  const scrollLeft = this.scrollsHorizontally() ?
+      this.getAlignedScrollPosition_(true, position.x, size.width, align) :
+      this.getScrollLeft();
+  const scrollTop = this.scrollsVertically() ?
+      this.getAlignedScrollPosition_(false, position.y, size.height, align) :
+      this.getScrollTop();
+  return this.scrollToXY_(scrollLeft, scrollTop, options);
+}
+
+
+/**
+ * @param {boolean} aHorizontal Whether to align horizontally.
+ * @param {number} aStart Start of element within content.
+ * @param {number} aLength Size of element along axis.
+ * @param {string} aAlign How to align element.
+ * @return {number} Scroll position at which element is aligned.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.getAlignedScrollPosition_ = function(
+    aHorizontal, aStart, aLength, aAlign) {
+  const frameLength = this.getFrameLength_(aHorizontal);
+  const current = aHorizontal ? this.getScrollLeft() : this.getScrollTop();
+  switch (aAlign) {
+    case rflect.ui.MomentumScroller.Align.CENTER:
+      return aStart + aLength / 2 - frameLength / 2;
+    case rflect.ui.MomentumScroller.Align.END:
+      return aStart + aLength - frameLength;
+    case rflect.ui.MomentumScroller.Align.NEAREST:
+      if (aStart < current || aLength > frameLength)
+        return aStart;
+      if (aStart + aLength > current + frameLength)
+        return aStart + aLength - frameLength;
+      return current;
+    default:
+      return aStart;
+  }
+}
+
+
+/**
+ * Smoothly scrolls content to position, reusing transition machinery of
+ * momentum.
+ * @param {number} aScrollLeft Scroll left as in DOM.
+ * @param {number} aScrollTop Scroll top as in DOM.
+ * @param {!Object} aOptions Options of animation.
+ * @return {!Promise<boolean>} Promise which is resolved with true when
+ * content gets to position, or with false if movement is interrupted.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.scrollToXY_ = function(aScrollLeft,
+    aScrollTop, aOptions) {
+  if (!this.isEnabled())
+    return Promise.resolve(false);
+
+  const duration = goog.isNumber(aOptions['duration']) ?
+      aOptions['duration'] : rflect.ui.MomentumScroller.SCROLL_TO_DURATION;
+  const easing = goog.isString(aOptions['easing']) ? aOptions['easing'] :
+      rflect.ui.MomentumScroller.SCROLL_TO_EASING;
+  const offsetX = this.getPositionWithinBounds_(true, -aScrollLeft);
+  const offsetY = this.getPositionWithinBounds_(false, -aScrollTop);
+
+  this.endWheelStream_();
+  // Interrupts previous scroll or momentum.
+  this.stopMomentum();
+  this.stopPropagationOnTouchEnd_ = false;
+
+  return new Promise((resolve) => {
+    if (duration <= 0 || (offsetX == this.contentOffsetX &&
+        offsetY == this.contentOffsetY)) {
+      this.animateToXY(offsetX, offsetY);
+      this.finishScrolling_();
+      resolve(true);
+      return;
+    }
+
+    this.scrollResolver_ = resolve;
+    this.showScrollBar(true);
+    this.beginScrolling_();
+    this.transitionTo_(offsetX, offsetY, duration, easing);
+    this.isDecelerating_ = true;
+  });
+}
+
+
+/**
+ * Resolves promise of animated scroll, if any.
+ * @param {boolean} aFinished Whether content got to position.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.resolveScroll_ = function(aFinished) {
+  const resolver = this.scrollResolver_;
+  this.scrollResolver_ = null;
+  if (resolver) {
+    resolver(aFinished);
+  }
+}
+
+
+/**
+ * Sets up pull-to-refresh. Indicator is moved into frame element and placed
+ * above content, following it when content is pulled down. When content is
+ * released past threshold, it's held at indicator height until promise
+ * returned by callback settles, and then goes back.
+ * Indicator gets "pull-to-refresh-ready" class while release would start
+ * refresh and "pull-to-refresh-refreshing" class during refresh.
+ * Pull works without bounce too, content is clamped at other edges then.
+ * @param {Element} aIndicator Indicator element, null to turn pull-to-refresh
+ * off.
+ * @param {function(): *=} opt_onRefresh Refresh callback, may return promise.
+ * @see {rflect.ui.MomentumScroller.EventType.PULL}
+ */
+rflect.ui.MomentumScroller.prototype.setPullToRefresh = function(aIndicator,
+    opt_onRefresh) {
+  if (this.pullIndicator_ && this.isEnabled()) {
+    this.removePullIndicator_();
+  }
+  this.pullIndicator_ = aIndicator;
+  this.onRefresh_ = opt_onRefresh || null;
+  this.pullProgress_ = 0;
+  if (this.pullIndicator_ && this.isEnabled()) {
+    this.addPullIndicator_();
+  }
+}
+
+
+/**
+ * @return {boolean} Whether content is held until refresh is finished.
+ */
+rflect.ui.MomentumScroller.prototype.isRefreshing = function() {
+  return this.refreshing_;
+}
+
+
+/**
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.addPullIndicator_ = function() {
+  const style = this.pullIndicator_.style;
+  style.position = 'absolute';
+  style.top = '0';
+  style.left = '0';
+  style.width = '100%';
+  goog.dom.classlist.enable(this.pullIndicator_, 'pull-to-refresh-refreshing',
+      this.refreshing_);
+  this.frameElement.appendChild(this.pullIndicator_);
+  this.pullIndicatorHeight_ = goog.style.getSize(this.pullIndicator_).height;
+  this.updatePullIndicator_();
+}
+
+
+/**
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.removePullIndicator_ = function() {
+  goog.dom.removeNode(this.pullIndicator_);
+  const style = this.pullIndicator_.style;
+  style.position = style.top = style.left = style.width = '';
+  rflect.browser.css.setTransition(this.pullIndicator_, '');
+  rflect.browser.css.setTransform(this.pullIndicator_, '');
+  goog.dom.classlist.removeAll(this.pullIndicator_,
+      ['pull-to-refresh-ready', 'pull-to-refresh-refreshing']);
+}
+
+
+/**
+ * Places indicator right above top edge of content.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.updatePullIndicator_ = function() {
+  if (!this.pullIndicator_ || !this.isEnabled())
+    return;
+  rflect.browser.css.setTransform(this.pullIndicator_,
+      `translate3d(0, ${this.contentOffsetY - this.pullIndicatorHeight_}px, 0)`);
+}
+
+
+/**
+ * @return {number} How far content should be pulled down to start refresh.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.getPullThreshold_ = function() {
+  return this.getNumberOption_('pullToRefreshThreshold') ||
+      this.pullIndicatorHeight_;
+}
+
+
+/**
+ * Dispatches PULL event when progress of pull changes.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.updatePullProgress_ = function() {
+  if (!this.pullIndicator_ || this.refreshing_ || !this.scrollsVertically())
+    return;
+  const threshold = this.getPullThreshold_();
+  const progress = threshold > 0 ?
+      Math.max(0, this.contentOffsetY) / threshold : 0;
+  if (progress == this.pullProgress_)
+    return;
+  this.pullProgress_ = progress;
+  goog.dom.classlist.enable(this.pullIndicator_, 'pull-to-refresh-ready',
+      progress >= 1);
+
+  const event = new rflect.ui.MomentumScroller.ScrollEvent(
+      rflect.ui.MomentumScroller.EventType.PULL, this, this.getScrollLeft(),
+      this.getScrollTop(), 0, 0, rflect.ui.MomentumScroller.Edge.TOP);
+  event.progress = progress;
+  this.eventTarget_.dispatchEvent(event);
+}
+
+
+/**
+ * @return {boolean} Whether releasing content now starts refresh.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.shouldStartRefresh_ = function() {
+  return !!this.pullIndicator_ && !this.refreshing_ &&
+      this.scrollsVertically() && this.getPullThreshold_() > 0 &&
+      this.contentOffsetY >= this.getPullThreshold_();
+}
+
+
+/**
+ * Holds content at indicator height and calls refresh callback.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.startRefresh_ = function() {
+  this.refreshing_ = true;
+  this.pullProgress_ = 0;
+  goog.dom.classlist.remove(this.pullIndicator_, 'pull-to-refresh-ready');
+  goog.dom.classlist.add(this.pullIndicator_, 'pull-to-refresh-refreshing');
+  this.dispatch_(rflect.ui.MomentumScroller.EventType.REFRESH_START,
+      this.contentOffsetX, this.contentOffsetY, 0, 0,
+      rflect.ui.MomentumScroller.Edge.TOP);
+
+  // Top bound is now at indicator height, so content settles there.
+  this.scrollToXY_(this.getScrollLeft(), -this.pullIndicatorHeight_, {});
+
+  const onRefresh = this.onRefresh_;
+  const endRefresh = () => this.endRefresh_();
+  new Promise((resolve) => {
+    resolve(onRefresh && onRefresh());
+  }).then(endRefresh, (aError) => {
+    if (goog.DEBUG)
+      console.log('refresh failed: ', aError);
+    endRefresh();
+  });
+}
+
+
+/**
+ * Releases content held during refresh.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.endRefresh_ = function() {
+  if (!this.refreshing_)
+    return;
+  this.refreshing_ = false;
+  if (this.pullIndicator_) {
+    goog.dom.classlist.remove(this.pullIndicator_,
+        'pull-to-refresh-refreshing');
+  }
+  if (!this.isEnabled())
+    return;
+
+  this.dispatch_(rflect.ui.MomentumScroller.EventType.REFRESH_END,
+      this.contentOffsetX, this.contentOffsetY, 0, 0,
+      rflect.ui.MomentumScroller.Edge.TOP);
+  // If finger holds content, it'll be brought back on release.
+  if (!this.isDragging_ && this.isOutOfBounds()) {
+    this.scrollToXY_(this.getScrollLeft(), this.getScrollTop(), {});
+  }
+}
+
+
+/**
+ * Sets handler which is called when content gets within near end distance.
+ * Handler isn't called again until promise it returns settles, after which
+ * sizes are updated to account for added content.
+ * @param {?function(): *} aOnNearEnd Handler, may return promise; null to
+ * remove handler.
+ * @see {rflect.ui.MomentumScroller.EventType.NEAR_END}
+ */
+rflect.ui.MomentumScroller.prototype.setNearEndHandler = function(
+    aOnNearEnd) {
+  this.onNearEnd_ = aOnNearEnd;
+  if (this.onNearEnd_ && this.transitioning_) {
+    this.startPositionTracking_();
+  }
+}
+
+
+/**
+ * @return {boolean} Whether promise of near end handler is pending.
+ */
+rflect.ui.MomentumScroller.prototype.isLoading = function() {
+  return this.loading_;
+}
+
+
+/**
+ * Dispatches NEAR_END event and calls handler when content enters near end
+ * zone.
+ * @param {number} aOffsetX Horizontal position of content.
+ * @param {number} aOffsetY Vertical position of content.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.checkNearEnd_ = function(aOffsetX,
+    aOffsetY) {
+  const horizontal =
+      this.getAxis() == rflect.ui.MomentumScroller.Axis.HORIZONTAL;
+  const distance = horizontal ?
+      aOffsetX - this.getLeftmostContentPosition() :
+      aOffsetY - this.getLowestContentPosition();
+  const nearEnd = distance <= this.getNumberOption_('nearEndDistance');
+  if (nearEnd == this.nearEnd_)
+    return;
+  this.nearEnd_ = nearEnd;
+  if (!nearEnd || this.loading_)
+    return;
+
+  this.dispatch_(rflect.ui.MomentumScroller.EventType.NEAR_END, aOffsetX,
+      aOffsetY, this.trackedVelocityX_, this.trackedVelocityY_, horizontal ?
+      rflect.ui.MomentumScroller.Edge.RIGHT :
+      rflect.ui.MomentumScroller.Edge.BOTTOM);
+
+  if (!this.onNearEnd_)
+    return;
+  this.loading_ = true;
+  const onNearEnd = this.onNearEnd_;
+  const endLoading = () => this.endLoading_();
+  new Promise((resolve) => {
+    resolve(onNearEnd());
+  }).then(endLoading, (aError) => {
+    if (goog.DEBUG)
+      console.log('loading failed: ', aError);
+    endLoading();
+  });
+}
+
+
+/**
+ * Lifts loading guard and measures content which was added.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.endLoading_ = function() {
+  this.loading_ = false;
+  if (!this.isEnabled())
+    return;
+  const horizontal =
+      this.getAxis() == rflect.ui.MomentumScroller.Axis.HORIZONTAL;
+  const length = horizontal ? this.elementSize.width :
+      this.elementSize.height;
+  this.updateSizes();
+  // If content grew, next scroll within near end zone requests more of it.
+  // Otherwise there's nothing more to load until user leaves the zone.
+  if ((horizontal ? this.elementSize.width : this.elementSize.height) >
+      length) {
+    this.nearEnd_ = false;
+  }
+}
+
+
+/**
+ * Measures content and frame again, e.g. after content was appended. Running
+ * momentum continues from where content is now with its current velocity,
+ * aiming at new bounds.
+ */
+rflect.ui.MomentumScroller.prototype.updateSizes = function() {
+  if (!this.isEnabled())
+    return;
+
+  // Momentum headed to old bounds is replanned; bounce and snap back are
+  // left to finish. Animation frame momentum checks bounds on each frame, so
+  // it needs nothing.
+  const replanMomentum = this.momentumActive_ && this.isDecelerating_ &&
+      !(this.usesAnimationFrames_() && !this.snaps_()) &&
+      (this.queuedTransitionStage_ ==
+      rflect.ui.MomentumScroller.QUEUED_TRANSITION_STAGE.NONE ||
+      this.queuedTransitionStage_ ==
+      rflect.ui.MomentumScroller.QUEUED_TRANSITION_STAGE.TO_BOUNDS);
+  // Tracked velocity is the most accurate, otherwise it's estimated.
+  const velocityX = this.positionTrackingId_ ? this.trackedVelocityX_ :
+      this.getMomentumVelocity_(true);
+  const velocityY = this.positionTrackingId_ ? this.trackedVelocityY_ :
+      this.getMomentumVelocity_(false);
+
+  this.calculateSizes();
+
+  if (replanMomentum) {
+    const elementMatrix = this.getMatrixForElement(this.element);
+    this.clearTransitionAll();
+    this.queuedTransitionStage_ =
+        rflect.ui.MomentumScroller.QUEUED_TRANSITION_STAGE.NONE;
+    this.isDecelerating_ = false;
+    this.animateToXY(elementMatrix.m41, elementMatrix.m42);
+    this.doMomentum(this.scrollsHorizontally() ? velocityX : 0,
+        this.scrollsVertically() ? velocityY : 0);
+  } else if (!this.isDecelerating_ && !this.isDragging_) {
+    // Content might have shrunk.
+    this.animateWithinBoundsXY(this.contentOffsetX, this.contentOffsetY);
+  }
+  // Restore deferred until content has size.
+  this.applyPendingState_();
+}
+
+
+/**
+ * Estimates current velocity of momentum transition, which decelerates
+ * uniformly to rest.
+ * @param {boolean} aHorizontal Whether to get horizontal velocity.
+ * @return {number} Velocity, px/ms.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.getMomentumVelocity_ = function(
+    aHorizontal) {
+  if (!this.momentumDuration_)
+    return 0;
+  const velocity = aHorizontal ? this.momentumVelocityX_ :
+      this.momentumVelocity_;
+  const elapsed = goog.now() - this.momentumStartTime_;
+  return velocity * Math.max(0, 1 - elapsed / this.momentumDuration_);
+}
+
+
+/**
+ * @return {boolean} Whether content comes to rest at snap points.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.snaps_ = function() {
+  return this.getStringOption_('snap') !=
+      rflect.ui.MomentumScroller.SnapMode.NONE;
+}
+
+
+/**
+ * @return {boolean} Whether pages are counted horizontally.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.pagesAreHorizontal_ = function() {
+  return this.getAxis() == rflect.ui.MomentumScroller.Axis.HORIZONTAL;
+}
+
+
+/**
+ * @param {boolean} aHorizontal Whether to get horizontal positions.
+ * @return {!Array<number>} Positions of content at snap points, from the
+ * first one.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.getSnapPositions_ = function(
+    aHorizontal) {
+  if (!this.snaps_() || (aHorizontal ? !this.scrollsHorizontally() :
+      !this.scrollsVertically()))
+    return [];
+
+  const positions = [];
+  const lowest = aHorizontal ? this.getLeftmostContentPosition() :
+      this.getLowestContentPosition();
+  if (this.getStringOption_('snap') ==
+      rflect.ui.MomentumScroller.SnapMode.PAGING) {
+    const pageLength = this.getFrameLength_(aHorizontal);
+    for (let position = 0; position > lowest; position -= pageLength) {
+      positions.push(position);
+    }
+    // Last page is aligned with end of content.
+    positions.push(Math.min(lowest, 0));
+  } else {
+    const children = this.element.querySelectorAll(
+        this.getStringOption_('snapSelector'));
+    Array.prototype.forEach.call(children, (aChild) => {
+      const offset = goog.style.getRelativePosition(aChild, this.element);
+      positions.push(this.getPositionWithinBounds_(aHorizontal,
+          -(aHorizontal ? offset.x : offset.y)));
+    });
+  }
+  goog.array.sort(positions, (a, b) => b - a);
+  goog.array.removeDuplicates(positions);
+  return positions;
+}
+
+
+/**
+ * @param {boolean} aHorizontal Whether position is horizontal.
+ * @param {number} aTarget Position where content would come to rest.
+ * @param {number} aVelocity Velocity of content along axis, snap point is
+ * searched in its direction; 0 means any direction.
+ * @return {number} Position of snap point nearest to target, or target
+ * itself if there are no snap points.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.getSnapPosition_ = function(aHorizontal,
+    aTarget, aVelocity) {
+  const positions = this.getSnapPositions_(aHorizontal);
+  const current = aHorizontal ? this.contentOffsetX : this.contentOffsetY;
+  const direction = rflect.math.sign(aVelocity);
+  let candidates = direction == 0 ? positions : positions.filter(
+      (aPosition) => (aPosition - current) * direction >= 0);
+  if (!candidates.length)
+    candidates = positions;
+
+  let snapPosition = aTarget;
+  let minDistance = Infinity;
+  candidates.forEach((aPosition) => {
+    const distance = Math.abs(aPosition - aTarget);
+    if (distance < minDistance) {
+      minDistance = distance;
+      snapPosition = aPosition;
+    }
+  });
+  return snapPosition;
+}
+
+
+/**
+ * @return {number} Index of snap point nearest to content, 0 if there are no
+ * snap points.
+ */
+rflect.ui.MomentumScroller.prototype.getPageIndex = function() {
+  const horizontal = this.pagesAreHorizontal_();
+  const positions = this.getSnapPositions_(horizontal);
+  const current = horizontal ? this.contentOffsetX : this.contentOffsetY;
+  let index = 0;
+  positions.forEach((aPosition, aIndex) => {
+    if (Math.abs(aPosition - current) < Math.abs(positions[index] - current))
+      index = aIndex;
+  });
+  return index;
+}
+
+
+/**
+ * Smoothly scrolls content to snap point.
+ * @param {number} aIndex Index of snap point, clamped to existing ones.
+ * @param {Object=} opt_options Options of animation, as for scrollTo.
+ * @return {!Promise<boolean>} Promise which is resolved with true when
+ * content gets to position, or with false if movement is interrupted.
+ * @see {scrollTo}
+ */
+rflect.ui.MomentumScroller.prototype.scrollToPage = function(aIndex,
+    opt_options) {
+  const horizontal = this.pagesAreHorizontal_();
+  const positions = this.getSnapPositions_(horizontal);
+  if (!this.isEnabled() || !positions.length)
+    return Promise.resolve(false);
+
+  const position = positions[goog.math.clamp(Math.round(aIndex), 0,
+      positions.length - 1)];
+  return horizontal ?
+      this.scrollToXY_(-position, this.getScrollTop(), opt_options || {}) :
+      this.scrollToXY_(this.getScrollLeft(), -position, opt_options || {});
+}
+
+
+/**
+ * Dispatches PAGE_CHANGE event if content came to rest at other snap point.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.updatePageIndex_ = function() {
+  if (!this.snaps_())
+    return;
+  const index = this.getPageIndex();
+  if (index == this.pageIndex_)
+    return;
+  this.pageIndex_ = index;
+
+  const event = new rflect.ui.MomentumScroller.ScrollEvent(
+      rflect.ui.MomentumScroller.EventType.PAGE_CHANGE, this,
+      this.getScrollLeft(), this.getScrollTop(), 0, 0);
+  event.index = index;
+  this.eventTarget_.dispatchEvent(event);
+}
+
+
+/**
+ * @return {number} Scale of content, 1 if zoom is off.
+ */
+rflect.ui.MomentumScroller.prototype.getZoom = function() {
+  return this.zoom_;
+}
+
+
+/**
+ * Smoothly zooms content, keeping point under origin in place. Options:
+ * <ul>
+ * <li>originX, originY - origin of zoom relative to frame, its center by
+ * default;</li>
+ * <li>duration - duration of animation, ms, 0 means no animation.</li>
+ * </ul>
+ * @param {number} aZoom Zoom to set, clamped by zoom limits.
+ * @param {Object=} opt_options Options of zoom.
+ * @return {!Promise<boolean>} Promise which is resolved with true when
+ * content gets to zoom, or with false if zoom is off or animation is
+ * interrupted.
+ */
+rflect.ui.MomentumScroller.prototype.setZoom = function(aZoom, opt_options) {
+  const options = opt_options || {};
+  if (!this.isEnabled() || !this.getBooleanOption_('zoom'))
+    return Promise.resolve(false);
+
+  const originX = goog.isNumber(options['originX']) ? options['originX'] :
+      this.frameElementSize.width / 2;
+  const originY = goog.isNumber(options['originY']) ? options['originY'] :
+      this.frameElementSize.height / 2;
+  const duration = goog.isNumber(options['duration']) ? options['duration'] :
+      rflect.ui.MomentumScroller.ZOOM_DURATION;
+  return this.zoomTo_(this.clampZoom_(aZoom), originX, originY, duration);
+}
+
+
+/**
+ * @param {number} aZoom Zoom to clamp.
+ * @return {number} Zoom within limits.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.clampZoom_ = function(aZoom) {
+  return rflect.ui.PinchZoom.clamp(aZoom, this.getNumberOption_('minZoom'),
+      this.getNumberOption_('maxZoom'));
+}
+
+
+/**
+ * @param {number} aZoom Zoom which fingers ask for.
+ * @return {number} Zoom which is damped beyond limits, or clamped if content
+ * doesn't bounce.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.getResistedZoom_ = function(aZoom) {
+  if (!this.bounces_())
+    return this.clampZoom_(aZoom);
+  return rflect.ui.PinchZoom.resist(aZoom, this.getNumberOption_('minZoom'),
+      this.getNumberOption_('maxZoom'));
+}
+
+
+/**
+ * Animates content to zoom, keeping point under origin in place as long as
+ * bounds allow.
+ * @param {number} aZoom Zoom to animate to.
+ * @param {number} aOriginX Horizontal origin of zoom relative to frame.
+ * @param {number} aOriginY Vertical origin of zoom relative to frame.
+ * @param {number} aDuration Duration of animation, ms.
+ * @return {!Promise<boolean>} Promise which is resolved with true when
+ * content gets to zoom, or with false if animation is interrupted.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.zoomTo_ = function(aZoom, aOriginX,
+    aOriginY, aDuration) {
+  this.endWheelStream_();
+  this.stopMomentum();
+  this.stopPropagationOnTouchEnd_ = false;
+
+  const startZoom = this.zoom_;
+  const ratio = aZoom / startZoom;
+  // Bounds are those of target zoom.
+  this.zoom_ = aZoom;
+  const offsetX = this.getPositionWithinBounds_(true,
+      rflect.ui.PinchZoom.getOffsetAround(aOriginX, this.contentOffsetX,
+      ratio));
+  const offsetY = this.getPositionWithinBounds_(false,
+      rflect.ui.PinchZoom.getOffsetAround(aOriginY, this.contentOffsetY,
+      ratio));
+  this.zoom_ = startZoom;
+
+  return new Promise((resolve) => {
+    if (aDuration <= 0 || (aZoom == startZoom &&
+        offsetX == this.contentOffsetX && offsetY == this.contentOffsetY)) {
+      this.zoom_ = aZoom;
+      this.animateToXY(offsetX, offsetY);
+      this.finishScrolling_();
+      resolve(true);
+      return;
+    }
+
+    this.scrollResolver_ = resolve;
+    this.showScrollBar(true);
+    this.beginScrolling_();
+    this.transitionTo_(offsetX, offsetY, aDuration, 'ease-out', aZoom);
+    this.isDecelerating_ = true;
+  });
+}
+
+
+/**
+ * Starts pinch by two fingers, ending drag by the first one.
+ * @param {!goog.math.Coordinate} aPoint1 First finger, in viewport.
+ * @param {!goog.math.Coordinate} aPoint2 Second finger, in viewport.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.startPinch_ = function(aPoint1,
+    aPoint2) {
+  if (goog.DEBUG)
+    console.log('startPinch_');
+  this.stopMomentum();
+  if (this.dragStarted_) {
+    this.dragStarted_ = false;
+    this.dispatch_(rflect.ui.MomentumScroller.EventType.DRAG_END,
+        this.contentOffsetX, this.contentOffsetY, 0, 0);
+  }
+  this.gestureRecognizer_.endPress();
+  this.isDragging_ = false;
+
+  const frameRect = this.frameElement.getBoundingClientRect();
+  this.pinchZoom_.start(aPoint1, aPoint2,
+      new goog.math.Coordinate(frameRect.left, frameRect.top), this.zoom_,
+      new goog.math.Coordinate(this.contentOffsetX, this.contentOffsetY));
+
+  this.showScrollBar(true);
+  this.beginScrolling_();
+}
+
+
+/**
+ * Scales content by change of distance between fingers around point between
+ * them, which also pans content.
+ * @param {!goog.math.Coordinate} aPoint1 First finger, in viewport.
+ * @param {!goog.math.Coordinate} aPoint2 Second finger, in viewport.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.movePinch_ = function(aPoint1,
+    aPoint2) {
+  this.zoom_ = this.getResistedZoom_(this.pinchZoom_.move(aPoint1, aPoint2));
+  const offset = this.pinchZoom_.getOffset(this.zoom_);
+  let offsetX = offset.x;
+  let offsetY = offset.y;
+  const bounce = this.bounces_();
+  if (!bounce || !this.scrollsHorizontally()) {
+    offsetX = this.getPositionWithinBounds_(true, offsetX);
+  }
+  if (!bounce || !this.scrollsVertically()) {
+    offsetY = this.getPositionWithinBounds_(false, offsetY);
+  }
+  this.animateToXY(offsetX, offsetY);
+}
+
+
+/**
+ * Ends pinch when one of fingers is lifted, bringing zoom and content back
+ * within limits.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.endPinch_ = function() {
+  if (goog.DEBUG)
+    console.log('endPinch_');
+  this.pinchZoom_.end();
+  const midpoint = this.pinchZoom_.getMidpoint();
+  this.zoomTo_(this.clampZoom_(this.zoom_), midpoint.x, midpoint.y,
+      rflect.ui.MomentumScroller.ZOOM_DURATION);
+}
+
+
+/**
+ * Resets state once all fingers of pinch are lifted.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.finishPinch_ = function() {
+  this.pinchZoom_.finish();
+  this.resetDrag_();
+}
+
+
+/**
+ * Zooms in or out on double tap.
+ * @param {number} aClientX Horizontal coordinate of tap.
+ * @param {number} aClientY Vertical coordinate of tap.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.zoomOnDoubleTap_ = function(aClientX,
+    aClientY) {
+  const frameRect = this.frameElement.getBoundingClientRect();
+  const minZoom = this.getNumberOption_('minZoom');
+  const zoom = this.zoom_ > minZoom ? minZoom :
+      this.clampZoom_(this.getNumberOption_('doubleTapZoom'));
+  this.zoomTo_(zoom, aClientX - frameRect.left, aClientY - frameRect.top,
+      rflect.ui.MomentumScroller.ZOOM_DURATION);
+}
+
+
+/**
+ * Calculates sizes of frame and content elements.
+ */
+rflect.ui.MomentumScroller.prototype.calculateSizes = function() {
+  this.elementSize = goog.style.getSize(this.element);
+  this.frameElementSize = goog.style.getSize(this.frameElement);
+  this.measureStickyHeaders_();
+}
+
+
+/**
+ * Finds sticky headers and measures their positions within content.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.measureStickyHeaders_ = function() {
+  this.stickyHeaders_.clear();
+  if (!this.getBooleanOption_('stickyHeaders') || !this.scrollsVertically())
+    return;
+  this.stickyHeaders_.measure(this.element,
+      this.getStringOption_('stickySelector'), this.elementSize.height,
+      this.zoom_);
+  this.stickyHeaders_.update(this.contentOffsetY, this.zoom_);
+}
+
+
+/**
+ * @return {number} Height of scrollbar line.
+ */
+rflect.ui.MomentumScroller.prototype.getScrollBarLineHeight = function() {
+  return this.getScrollBarLineLength_(false);
+}
+
+
+/**
+ * @return {number} Width of horizontal scrollbar line.
+ */
+rflect.ui.MomentumScroller.prototype.getScrollBarLineWidth = function() {
+  return this.getScrollBarLineLength_(true);
+}
+
+
+/**
+ * @param {boolean} aHorizontal Whether to measure horizontal scrollbar.
+ * @return {number} Length of scrollbar line along its axis.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.getScrollBarLineLength_ = function(
+    aHorizontal) {
+  const length = this.getFrameLength_(aHorizontal) /
+      this.getSizeRatio(aHorizontal);
+  const minLength = this.getNumberOption_('scrollBarMinLength');
+  return length < minLength ? minLength : length;
+}
+
+
+/**
+ * @param {boolean=} opt_horizontal Whether to compare widths instead of
+ * heights.
+ * @return {number} How many times element is larger than frame element.
+ */
+rflect.ui.MomentumScroller.prototype.getSizeRatio = function(opt_horizontal) {
+  return opt_horizontal ?
+      this.elementSize.width * this.zoom_ / this.frameElementSize.width :
+      this.elementSize.height * this.zoom_ / this.frameElementSize.height;
+}
+
+
+/**
+ * @param {boolean} aHorizontal Whether to return width instead of height.
+ * @return {number} Size of frame element along axis.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.getFrameLength_ = function(aHorizontal) {
+  return aHorizontal ? this.frameElementSize.width :
+      this.frameElementSize.height;
+}
+  
+  
+/**
+ * @return {boolean} Whether mouse miss close is enabled.
+ */
+rflect.ui.MomentumScroller.prototype.isEnabled = function() {
+  return this.enabled_;
+}
+
+
+/**
+ * Attaches all listeners to implement mouse miss behavior.
+ */
+rflect.ui.MomentumScroller.prototype.enterDocument = function() {
+  // Native scrolling is prevented unless gesture was yielded to it.
+  this.listen(this.frameElement, goog.events.EventType.TOUCHMOVE,
+      (aEvent) => {
+    if (!this.gestureYielded_)
+      aEvent.preventDefault();
+  });
+  // Clicks are synthesized, so native ones are cancelled. Without synthesis
+  // browser's own click is left.
+  this.listen(this.frameElement, goog.events.EventType.TOUCHEND,
+      (aEvent) => {
+    if (this.getStringOption_('clickMode') !=
+        rflect.ui.MomentumScroller.ClickMode.NONE)
+      aEvent.preventDefault();
+  });
+  if (this.usesPointerEvents_()) {
+    this.listen(this.element, goog.events.EventType.POINTERDOWN,
+        this.onPointerDown, true);
+    this.listen(this.element, goog.events.EventType.POINTERMOVE,
+        this.onPointerMove);
+    this.listen(this.element, goog.events.EventType.POINTERUP,
+        this.onPointerUp, true);
+    this.listen(this.element, goog.events.EventType.POINTERCANCEL,
+        this.onPointerCancel, true);
+  } else {
+    this.listen(this.element, goog.events.EventType.TOUCHSTART,
+        this.onTouchStart, true);
+    this.listen(this.element, goog.events.EventType.TOUCHMOVE,
+        this.onTouchMove);
+    this.listen(this.element, goog.events.EventType.TOUCHEND,
+        this.onTouchEnd, true);
+    this.listen(this.element, goog.events.EventType.TOUCHCANCEL,
+        this.onTouchCancel, true);
+    if (this.getInputMode() == rflect.ui.MomentumScroller.InputMode.POINTER) {
+      this.listen(this.element, goog.events.EventType.MOUSEDOWN,
+          this.onMouseDown, true);
+    }
+  }
+  if (this.getInputMode() == rflect.ui.MomentumScroller.InputMode.POINTER) {
+    this.listen(this.element, goog.events.EventType.CLICK, this.onClick, true);
+    // Native drag of images and links would steal mouse drag.
+    this.listen(this.element, goog.events.EventType.DRAGSTART, (aEvent) => {
+      aEvent.preventDefault();
+    });
+  }
+
+  this.listen(this.frameElement, goog.events.EventType.WHEEL, this.onWheel);
+  this.listen(this.frameElement, goog.events.EventType.KEYDOWN,
+      this.onKeyDown);
+  this.listen(this.element, goog.events.EventType.FOCUSIN, this.onFocusIn);
+  // Hidden page gets neither end of gesture nor transitionend.
+  this.listen(document, goog.events.EventType.VISIBILITYCHANGE,
+      this.onPageHide);
+  this.listen(window, goog.events.EventType.PAGEHIDE, this.onPageHide);
+  // Frame clips content, but browser still scrolls it to focused element.
+  this.listen(this.frameElement, goog.events.EventType.SCROLL,
+      this.resetFrameScroll_);
+  if (window.visualViewport) {
+    this.listen(window.visualViewport, goog.events.EventType.RESIZE,
+        this.onViewportResize);
+  }
+
+  this.listen(this.element,
+      rflect.browser.transitionend.VENDOR_TRANSITION_END_NAMES,
+      this.onTransitionEnd);
+
+  if (this.getBooleanOption_('observeSizes')) {
+    this.observeSizes_();
+  }
+}
+
+
+/**
+ * Attaches listeners to implement mouse miss behavior.
+ */
+rflect.ui.MomentumScroller.prototype.exitDocument = function() {
+  this.removeAll();
+  this.unobserveSizes_();
+  this.stopFrames_();
+  this.activePointerId_ = null;
+  this.activeTouchId_ = this.pinchTouchId_ = null;
+  clearTimeout(this.transitionTimeout_);
+  this.transitionTimeout_ = 0;
+  this.endWheelStream_();
+  this.gestureRecognizer_.endPress();
+  this.stopPositionTracking_();
+  this.scrolling_ = this.dragStarted_ = this.momentumActive_ = false;
+  this.resolveScroll_(false);
+}
+
+
+/**
+ * Starts watching for size changes of content and frame.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.observeSizes_ = function() {
+  if (window.ResizeObserver) {
+    this.resizeObserver_ = new ResizeObserver(() => {
+      this.scheduleSizeCheck_();
+    });
+    this.resizeObserver_.observe(this.element);
+    this.resizeObserver_.observe(this.frameElement);
+    return;
+  }
+
+  // Without ResizeObserver, we watch for anything which may change sizes.
+  if (window.MutationObserver) {
+    this.mutationObserver_ = new MutationObserver((aRecords) => {
+      // Content and sticky headers are moved by transform in their style,
+      // which doesn't change size.
+      if (aRecords.some((aRecord) => aRecord.attributeName != 'style' ||
+          (aRecord.target != this.element &&
+          !this.stickyHeaders_.contains(aRecord.target)))) {
+        this.scheduleSizeCheck_();
+      }
+    });
+    this.mutationObserver_.observe(this.element, {
+      'childList': true,
+      'subtree': true,
+      'attributes': true,
+      'characterData': true
+    });
+  }
+  // Images don't have size until loaded. Load doesn't bubble, so it's caught
+  // at capture phase.
+  this.listen(this.element, goog.events.EventType.LOAD,
+      this.scheduleSizeCheck_, true);
+  this.listen(window, [goog.events.EventType.RESIZE,
+      goog.events.EventType.ORIENTATIONCHANGE], this.scheduleSizeCheck_);
+}
+
+
+/**
+ * Stops watching for size changes.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.unobserveSizes_ = function() {
+  if (this.resizeObserver_) {
+    this.resizeObserver_.disconnect();
+    this.resizeObserver_ = null;
+  }
+  if (this.mutationObserver_) {
+    this.mutationObserver_.disconnect();
+    this.mutationObserver_ = null;
+  }
+  this.unlisten(this.element, goog.events.EventType.LOAD,
+      this.scheduleSizeCheck_, true);
+  this.unlisten(window, [goog.events.EventType.RESIZE,
+      goog.events.EventType.ORIENTATIONCHANGE], this.scheduleSizeCheck_);
+  if (this.sizeCheckId_) {
+    cancelAnimationFrame(this.sizeCheckId_);
+    this.sizeCheckId_ = 0;
+  }
+}
+
+
+/**
+ * Checks sizes on next animation frame, so that many changes in a row are
+ * handled once.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.scheduleSizeCheck_ = function() {
+  if (this.sizeCheckId_)
+    return;
+  this.sizeCheckId_ = requestAnimationFrame(() => {
+    this.sizeCheckId_ = 0;
+    this.checkSizes_();
+  });
+}
+
+
+/**
+ * Updates sizes if content or frame was resized.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.checkSizes_ = function() {
+  if (!this.isEnabled())
+    return;
+  if (goog.math.Size.equals(goog.style.getSize(this.element),
+      this.elementSize) && goog.math.Size.equals(
+      goog.style.getSize(this.frameElement), this.frameElementSize))
+    return;
+  this.updateSizes();
+}
+
+
+/**
+ * Attaches global touchmove listener.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.attachDocumentListener_ = function() {
+  if (!goog.isDefAndNotNull(rflect.ui.MomentumScroller.documentListenerKey_))
+    rflect.ui.MomentumScroller.documentListenerKey_ = goog.events.listen(
+        document.body, goog.events.EventType.TOUCHMOVE,
+        rflect.ui.MomentumScroller.onDocumentTouchMove_, false, this);
+}
+
+
+/**
+ * Detaches global touchmove listener.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.detachDocumentListener_ = function() {
+  if (rflect.ui.MomentumScroller.instancesCount_ == 0) {
+    goog.events.unlistenByKey(rflect.ui.MomentumScroller.documentListenerKey_);
+    rflect.ui.MomentumScroller.documentListenerKey_ = null;
+  }
+}
+
+
+/**
+ * Document-level mouse listener.
+ * @param {Event} aEvent Event object.
+ */
+rflect.ui.MomentumScroller.onDocumentTouchMove_ = function(aEvent) {
+  // This prevents native scrolling from happening.
+  aEvent.preventDefault();
+}
+
+
+/**
+ * @param {goog.events.Event} aEvent Event object.
+ */
+rflect.ui.MomentumScroller.prototype.onTouchStart = function(aEvent) {
+  if (goog.DEBUG)
+    console.log('onTouchStart');
+  const browserEvent = aEvent.getBrowserEvent();
+  if (this.pinchZoom_.isActive() || this.pinchZoom_.isEnded())
+    return;
+  const touches = this.getOwnTouches_(browserEvent.touches);
+  let activeTouch = rflect.ui.MomentumScroller.findTouch_(touches,
+      this.activeTouchId_);
+  if (!activeTouch) {
+    // First finger, or tracked one was lost without touchend.
+    activeTouch = this.getOwnTouches_(browserEvent.changedTouches)[0];
+    if (!activeTouch)
+      return;
+    this.activeTouchId_ = activeTouch.identifier;
+    this.startDrag_(aEvent, activeTouch.clientX, activeTouch.clientY);
+  }
+
+  // Only one touch drives the content, second one may pinch it, others are
+  // ignored.
+  const pinchTouch = touches.find((aTouch) =>
+      aTouch.identifier !== this.activeTouchId_);
+  if (pinchTouch && this.getBooleanOption_('zoom') && !this.gestureYielded_) {
+    this.pinchTouchId_ = pinchTouch.identifier;
+    this.startPinch_(rflect.ui.MomentumScroller.getTouchPoint_(activeTouch),
+        rflect.ui.MomentumScroller.getTouchPoint_(pinchTouch));
+  }
+}
+
+
+/**
+ * System took touches over, e.g. for alert or incoming call.
+ * @param {goog.events.BrowserEvent} aEvent Event object.
+ */
+rflect.ui.MomentumScroller.prototype.onTouchCancel = function(aEvent) {
+  if (goog.DEBUG)
+    console.log('onTouchCancel');
+  this.activeTouchId_ = this.pinchTouchId_ = null;
+  this.cancelDrag_();
+}
+
+
+/**
+ * @param {TouchList} aTouches Touches.
+ * @return {!Array<Touch>} Touches which started inside content. Like native
+ * scroll view, scroller doesn't follow fingers put down elsewhere.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.getOwnTouches_ = function(aTouches) {
+  return goog.array.filter(aTouches, (aTouch) =>
+      goog.dom.contains(this.element, /** @type {Node} */ (aTouch.target)));
+}
+
+
+/**
+ * @param {IArrayLike<Touch>} aTouches Touches.
+ * @param {?number} aIdentifier Touch identifier.
+ * @return {Touch} Touch with given identifier, or null if it's not among
+ * touches.
+ * @private
+ */
+rflect.ui.MomentumScroller.findTouch_ = function(aTouches, aIdentifier) {
+  return goog.array.find(aTouches, (aTouch) =>
+      aTouch.identifier === aIdentifier);
+}
+
+
+/**
+ * @param {Touch} aTouch Touch.
+ * @return {!goog.math.Coordinate} Coordinates of touch in viewport.
+ * @private
+ */
+rflect.ui.MomentumScroller.getTouchPoint_ = function(aTouch) {
+  return new goog.math.Coordinate(aTouch.clientX, aTouch.clientY);
+}
+
+
+/**
+ * @param {goog.events.Event} aEvent Event object.
+ */
+rflect.ui.MomentumScroller.prototype.onTouchMove = function(aEvent) {
+  if (goog.DEBUG)
+    console.log('onTouchMove');
+  const touches = aEvent.getBrowserEvent().touches;
+  const activeTouch = rflect.ui.MomentumScroller.findTouch_(touches,
+      this.activeTouchId_);
+  if (this.pinchZoom_.isActive()) {
+    const pinchTouch = rflect.ui.MomentumScroller.findTouch_(touches,
+        this.pinchTouchId_);
+    if (activeTouch && pinchTouch) {
+      this.movePinch_(rflect.ui.MomentumScroller.getTouchPoint_(activeTouch),
+          rflect.ui.MomentumScroller.getTouchPoint_(pinchTouch));
+    }
+    return;
+  }
+  if (this.pinchZoom_.isEnded() || !activeTouch)
+    return;
+  this.moveDrag_(activeTouch.clientX, activeTouch.clientY);
+}
+
+
+/**
+ * @param {goog.events.BrowserEvent} aEvent object.
+ */
+rflect.ui.MomentumScroller.prototype.onTouchEnd = function(aEvent) {
+  if (goog.DEBUG)
+    console.log('onTouchEnd');
+  const touches = this.getOwnTouches_(aEvent.getBrowserEvent().touches);
+  if (this.pinchZoom_.isActive() || this.pinchZoom_.isEnded()) {
+    if (this.pinchZoom_.isActive() &&
+        (!rflect.ui.MomentumScroller.findTouch_(touches, this.activeTouchId_) ||
+        !rflect.ui.MomentumScroller.findTouch_(touches, this.pinchTouchId_))) {
+      this.endPinch_();
+    }
+    if (!touches.length) {
+      this.activeTouchId_ = this.pinchTouchId_ = null;
+      this.finishPinch_();
+    }
+    return;
+  }
+  // Lifted finger isn't the one which drags.
+  if (goog.isNull(this.activeTouchId_) ||
+      rflect.ui.MomentumScroller.findTouch_(touches, this.activeTouchId_))
+    return;
+  if (touches.length) {
+    // Remaining finger continues drag from where it is, so content doesn't
+    // jump.
+    const touch = touches[0];
+    this.activeTouchId_ = touch.identifier;
+    this.resetDragStart_(touch.clientX, touch.clientY);
+    return;
+  }
+  this.activeTouchId_ = null;
+  this.endDrag_(aEvent, true);
+}
+
+
+/**
+ * @param {goog.events.BrowserEvent} aEvent Event object.
+ */
+rflect.ui.MomentumScroller.prototype.onPointerDown = function(aEvent) {
+  const browserEvent = aEvent.getBrowserEvent();
+  if (goog.DEBUG)
+    console.log('onPointerDown: ', browserEvent.pointerType);
+  const point = new goog.math.Coordinate(browserEvent.clientX,
+      browserEvent.clientY);
+  // Only one pointer drives the content, second one may pinch it, others are
+  // ignored.
+  if (goog.isDefAndNotNull(this.activePointerId_)) {
+    if (this.getBooleanOption_('zoom') && browserEvent.pointerType != 'mouse' &&
+        !this.pinchZoom_.isActive() && !this.pinchZoom_.isEnded() &&
+        !this.gestureYielded_) {
+      this.pinchPointerId_ = browserEvent.pointerId;
+      this.pointerPoints_[browserEvent.pointerId] = point;
+      if (this.element.setPointerCapture) {
+        this.element.setPointerCapture(browserEvent.pointerId);
+      }
+      this.startPinch_(this.pointerPoints_[this.activePointerId_], point);
+    }
+    return;
+  }
+  if (this.pinchZoom_.isEnded())
+    return;
+  if (browserEvent.pointerType == 'mouse' && browserEvent.button != 0)
+    return;
+
+  this.activePointerId_ = browserEvent.pointerId;
+  this.pointerPoints_ = {};
+  this.pointerPoints_[browserEvent.pointerId] = point;
+  if (browserEvent.pointerType == 'mouse') {
+    // Prevents text selection while dragging with mouse.
+    aEvent.preventDefault();
+  }
+  this.startDrag_(aEvent, browserEvent.clientX, browserEvent.clientY);
+}
+
+
+/**
+ * @param {goog.events.BrowserEvent} aEvent Event object.
+ */
+rflect.ui.MomentumScroller.prototype.onPointerMove = function(aEvent) {
+  const browserEvent = aEvent.getBrowserEvent();
+  const pointerId = browserEvent.pointerId;
+  if (pointerId !== this.activePointerId_ && pointerId !== this.pinchPointerId_)
+    return;
+  this.pointerPoints_[pointerId] = new goog.math.Coordinate(
+      browserEvent.clientX, browserEvent.clientY);
+  if (this.pinchZoom_.isActive()) {
+    this.movePinch_(this.pointerPoints_[this.activePointerId_],
+        this.pointerPoints_[this.pinchPointerId_]);
+    return;
+  }
+  if (this.pinchZoom_.isEnded())
+    return;
+  this.moveDrag_(browserEvent.clientX, browserEvent.clientY);
+}
+
+
+/**
+ * @param {goog.events.BrowserEvent} aEvent Event object.
+ */
+rflect.ui.MomentumScroller.prototype.onPointerUp = function(aEvent) {
+  const browserEvent = aEvent.getBrowserEvent();
+  if (goog.DEBUG)
+    console.log('onPointerUp: ', browserEvent.pointerType);
+  const pointerId = browserEvent.pointerId;
+  if (pointerId !== this.activePointerId_ && pointerId !== this.pinchPointerId_)
+    return;
+
+  if (this.element.releasePointerCapture &&
+      this.element.hasPointerCapture &&
+      this.element.hasPointerCapture(browserEvent.pointerId)) {
+    this.element.releasePointerCapture(browserEvent.pointerId);
+  }
+  delete this.pointerPoints_[pointerId];
+  if (this.pinchZoom_.isActive() || this.pinchZoom_.isEnded()) {
+    if (this.pinchZoom_.isActive()) {
+      this.endPinch_();
+    }
+    if (pointerId === this.activePointerId_) {
+      this.activePointerId_ = null;
+    } else {
+      this.pinchPointerId_ = null;
+    }
+    if (!goog.isDefAndNotNull(this.activePointerId_) &&
+        !goog.isDefAndNotNull(this.pinchPointerId_)) {
+      this.finishPinch_();
+    }
+    return;
+  }
+  this.activePointerId_ = null;
+  // Browser fires native click after mouse button release, so we don't need
+  // to synthesize one.
+  this.endDrag_(aEvent, browserEvent.pointerType != 'mouse');
+}
+
+
+/**
+ * Browser took pointer over, e.g. to pan page.
+ * @param {goog.events.BrowserEvent} aEvent Event object.
+ */
+rflect.ui.MomentumScroller.prototype.onPointerCancel = function(aEvent) {
+  const pointerId = aEvent.getBrowserEvent().pointerId;
+  if (goog.DEBUG)
+    console.log('onPointerCancel');
+  if (pointerId !== this.activePointerId_ && pointerId !== this.pinchPointerId_)
+    return;
+  this.activePointerId_ = this.pinchPointerId_ = null;
+  this.pointerPoints_ = {};
+  this.cancelDrag_();
+}
+
+
+/**
+ * Settles content when page is hidden, right away, since nobody sees
+ * animation. Content at rest is left as is.
+ * @param {goog.events.BrowserEvent} aEvent Event object.
+ */
+rflect.ui.MomentumScroller.prototype.onPageHide = function(aEvent) {
+  if (aEvent.type == goog.events.EventType.VISIBILITYCHANGE &&
+      !document.hidden)
+    return;
+  // Animation on frames is either momentum or transition.
+  const moving = this.isDragging_ || this.pinchZoom_.isActive() ||
+      this.isDecelerating_ || this.transitioning_ || !!this.frameId_ ||
+      this.isOutOfBounds();
+  this.activePointerId_ = this.pinchPointerId_ = null;
+  this.activeTouchId_ = this.pinchTouchId_ = null;
+  this.cancelDrag_();
+  this.endWheelStream_();
+  if (!moving)
+    return;
+  this.stopMomentum();
+  this.animateToXY(this.getSnapPosition_(true,
+      this.getPositionWithinBounds_(true, this.contentOffsetX), 0),
+      this.getSnapPosition_(false,
+      this.getPositionWithinBounds_(false, this.contentOffsetY), 0));
+  this.finishScrolling_();
+}
+
+
+/**
+ * Ends drag or pinch which was cancelled, bringing content back within
+ * bounds without momentum, tap or click.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.cancelDrag_ = function() {
+  this.unlisten(document, goog.events.EventType.MOUSEMOVE, this.onMouseMove);
+  this.unlisten(document, goog.events.EventType.MOUSEUP, this.onMouseUp);
+  if (this.pinchZoom_.isActive()) {
+    this.endPinch_();
+  }
+  this.pinchZoom_.finish();
+  const dragging = this.isDragging_;
+  if (this.dragStarted_) {
+    this.dragStarted_ = false;
+    this.dispatch_(rflect.ui.MomentumScroller.EventType.DRAG_END,
+        this.contentOffsetX, this.contentOffsetY, 0, 0);
+  }
+  this.gestureYielded_ = false;
+  this.resetDrag_();
+  if (dragging) {
+    this.snapToBounds();
+  }
+}
+
+
+/**
+ * Captures pointer which drags content, so that we receive pointerup even if
+ * pointer leaves frame. It's done only once drag passed threshold, since
+ * capture retargets click to content and would break links and buttons.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.capturePointer_ = function() {
+  if (goog.isDefAndNotNull(this.activePointerId_) &&
+      this.element.setPointerCapture) {
+    this.element.setPointerCapture(this.activePointerId_);
+  }
+}
+
+
+/**
+ * Mouse drag emulation for browsers without pointer events.
+ * @param {goog.events.BrowserEvent} aEvent Event object.
+ */
+rflect.ui.MomentumScroller.prototype.onMouseDown = function(aEvent) {
+  if (!aEvent.isMouseActionButton())
+    return;
+  if (goog.DEBUG)
+    console.log('onMouseDown');
+  // Prevents text selection while dragging with mouse.
+  aEvent.preventDefault();
+  this.listen(document, goog.events.EventType.MOUSEMOVE, this.onMouseMove);
+  this.listen(document, goog.events.EventType.MOUSEUP, this.onMouseUp);
+  this.startDrag_(aEvent, aEvent.clientX, aEvent.clientY);
+}
+
+
+/**
+ * @param {goog.events.BrowserEvent} aEvent Event object.
+ */
+rflect.ui.MomentumScroller.prototype.onMouseMove = function(aEvent) {
+  this.moveDrag_(aEvent.clientX, aEvent.clientY);
+}
+
+
+/**
+ * @param {goog.events.BrowserEvent} aEvent Event object.
+ */
+rflect.ui.MomentumScroller.prototype.onMouseUp = function(aEvent) {
+  if (goog.DEBUG)
+    console.log('onMouseUp');
+  this.unlisten(document, goog.events.EventType.MOUSEMOVE, this.onMouseMove);
+  this.unlisten(document, goog.events.EventType.MOUSEUP, this.onMouseUp);
+  this.endDrag_(aEvent, false);
+}
+
+
+/**
+ * @return {!Array<string>} Types of events which move thumb.
+ * @private
+ */
+rflect.ui.MomentumScroller.getThumbMoveEventTypes_ = function() {
+  return window.PointerEvent ? [goog.events.EventType.POINTERMOVE] :
+      [goog.events.EventType.MOUSEMOVE, goog.events.EventType.TOUCHMOVE];
+}
+
+
+/**
+ * @return {!Array<string>} Types of events which release thumb.
+ * @private
+ */
+rflect.ui.MomentumScroller.getThumbUpEventTypes_ = function() {
+  return window.PointerEvent ? [goog.events.EventType.POINTERUP,
+      goog.events.EventType.POINTERCANCEL] : [goog.events.EventType.MOUSEUP,
+      goog.events.EventType.TOUCHEND];
+}
+
+
+/**
+ * @param {goog.events.BrowserEvent} aEvent Event object.
+ * @param {boolean} aHorizontal Whether to get horizontal coordinate.
+ * @return {number} Coordinate of pointer relative to frame.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.getFramePoint_ = function(aEvent,
+    aHorizontal) {
+  const frameRect = this.frameElement.getBoundingClientRect();
+  return aHorizontal ? aEvent.clientX - frameRect.left :
+      aEvent.clientY - frameRect.top;
+}
+
+
+/**
+ * Starts thumb drag if pointer is over thumb, otherwise pages towards
+ * pointer.
+ * @param {goog.events.BrowserEvent} aEvent Event object.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.onScrollBarTrackDown_ = function(
+    aEvent) {
+  if (aEvent.type != goog.events.EventType.TOUCHSTART &&
+      !aEvent.isMouseActionButton())
+    return;
+  // Prevents text selection and emulated mouse events.
+  aEvent.preventDefault();
+  aEvent.stopPropagation();
+
+  const horizontal = aEvent.currentTarget == this.horizontalScrollBarTrack_;
+  const point = this.getFramePoint_(aEvent, horizontal);
+  const offset = horizontal ? this.contentOffsetX : this.contentOffsetY;
+  const thumbStart = -this.getPositionWithinBounds_(horizontal, offset) /
+      this.getSizeRatio(horizontal);
+  const thumbEnd = thumbStart + this.getScrollBarLineLength_(horizontal);
+  const hitSlop = rflect.ui.MomentumScroller.SCROLLBAR_HIT_AREA / 2;
+
+  this.endWheelStream_();
+  this.showScrollBar(true);
+
+  if (point < thumbStart - hitSlop || point > thumbEnd + hitSlop) {
+    // Same page as for keyboard.
+    const page = this.getPageStep_(horizontal) * (point < thumbStart ? 1 : -1);
+    this.animateStep_(this.contentOffsetX + (horizontal ? page : 0),
+        this.contentOffsetY + (horizontal ? 0 : page));
+    return;
+  }
+
+  this.stopMomentum();
+  this.stopPropagationOnTouchEnd_ = false;
+  this.thumbDragging_ = true;
+  this.thumbDragHorizontal_ = horizontal;
+  this.thumbDragStartPoint_ = point;
+  this.thumbDragStartOffset_ = offset;
+  this.listen(document, rflect.ui.MomentumScroller.getThumbMoveEventTypes_(),
+      this.onThumbMove_);
+  this.listen(document, rflect.ui.MomentumScroller.getThumbUpEventTypes_(),
+      this.onThumbUp_);
+  this.beginScrolling_();
+}
+
+
+/**
+ * Moves content so that thumb follows pointer.
+ * @param {goog.events.BrowserEvent} aEvent Event object.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.onThumbMove_ = function(aEvent) {
+  aEvent.preventDefault();
+  const horizontal = this.thumbDragHorizontal_;
+  const delta = this.getFramePoint_(aEvent, horizontal) -
+      this.thumbDragStartPoint_;
+  const offset = this.getPositionWithinBounds_(horizontal,
+      this.thumbDragStartOffset_ - delta * this.getSizeRatio(horizontal));
+  if (horizontal) {
+    this.animateToXY(offset, this.contentOffsetY);
+  } else {
+    this.animateToXY(this.contentOffsetX, offset);
+  }
+}
+
+
+/**
+ * @param {goog.events.BrowserEvent} aEvent Event object.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.onThumbUp_ = function(aEvent) {
+  this.endThumbDrag_();
+  this.finishScrolling_();
+}
+
+
+/**
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.endThumbDrag_ = function() {
+  if (!this.thumbDragging_)
+    return;
+  this.thumbDragging_ = false;
+  this.unlisten(document, rflect.ui.MomentumScroller.getThumbMoveEventTypes_(),
+      this.onThumbMove_);
+  this.unlisten(document, rflect.ui.MomentumScroller.getThumbUpEventTypes_(),
+      this.onThumbUp_);
+}
+
+
+/**
+ * Keeps scrollbar visible while it's hovered.
+ * @param {goog.events.BrowserEvent} aEvent Event object.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.onScrollBarTrackEnter_ = function(
+    aEvent) {
+  this.scrollBarHovered_ = true;
+  this.showScrollBar(true);
+}
+
+
+/**
+ * @param {goog.events.BrowserEvent} aEvent Event object.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.onScrollBarTrackLeave_ = function(
+    aEvent) {
+  this.scrollBarHovered_ = false;
+  if (!this.thumbDragging_ && !this.isDecelerating_) {
+    this.showScrollBarDelayed(false);
+  }
+}
+
+
+/**
+ * Scrolls content by wheel deltas. Discrete mouse wheel clicks are animated,
+ * trackpad streams move content directly, like finger does.
+ * @param {goog.events.BrowserEvent} aEvent Event object.
+ */
+rflect.ui.MomentumScroller.prototype.onWheel = function(aEvent) {
+  const browserEvent = /** @type {WheelEvent} */ (aEvent.getBrowserEvent());
+  if (this.isDragging_)
+    return;
+
+  let deltaX = this.getWheelDeltaInPixels_(browserEvent, true);
+  let deltaY = this.getWheelDeltaInPixels_(browserEvent, false);
+  if (!this.scrollsVertically() && deltaX == 0) {
+    // Ordinary mouse wheel scrolls horizontal-only content.
+    deltaX = deltaY;
+  }
+  if (!this.scrollsHorizontally())
+    deltaX = 0;
+  if (!this.scrollsVertically())
+    deltaY = 0;
+  if (deltaX == 0 && deltaY == 0)
+    return;
+
+  aEvent.preventDefault();
+
+  if (rflect.ui.MomentumScroller.isDiscreteWheel_(browserEvent)) {
+    this.scrollByWheelClick_(deltaX, deltaY);
+  } else {
+    this.scrollByWheelStream_(deltaX, deltaY);
+  }
+}
+
+
+/**
+ * @param {WheelEvent} aEvent Wheel event.
+ * @param {boolean} aHorizontal Whether to get horizontal delta.
+ * @return {number} Wheel delta in pixels.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.getWheelDeltaInPixels_ = function(aEvent,
+    aHorizontal) {
+  const delta = aHorizontal ? aEvent.deltaX : aEvent.deltaY;
+  switch (aEvent.deltaMode) {
+    case rflect.ui.MomentumScroller.WHEEL_DELTA_MODE_LINE:
+      return delta * rflect.ui.MomentumScroller.WHEEL_LINE_HEIGHT;
+    case rflect.ui.MomentumScroller.WHEEL_DELTA_MODE_PAGE:
+      return delta * this.getFrameLength_(aHorizontal);
+    default:
+      return delta;
+  }
 }
 
 
 /**
- * @protected
+ * @param {WheelEvent} aEvent Wheel event.
+ * @return {boolean} Whether event came from wheel with notches rather than
+ * from trackpad or free-spinning wheel.
+ * @private
  */
-rflect.ui.MomentumScroller.prototype.resetInternal = function() {
-  if (this.element && this.frameElement) {
-    this.animateWithinBounds(0);
+rflect.ui.MomentumScroller.isDiscreteWheel_ = function(aEvent) {
+  if (aEvent.deltaMode != rflect.ui.MomentumScroller.WHEEL_DELTA_MODE_PIXEL)
+    return true;
+  // Chrome and Safari report legacy deltas in multiples of 120 for each
+  // notch of mouse wheel.
+  const wheelDelta = aEvent['wheelDeltaY'] || aEvent['wheelDeltaX'];
+  return !!wheelDelta && wheelDelta % 120 == 0;
+}
+
+
+/**
+ * Animates content by discrete wheel click. Clicks which come while
+ * animation is running are added to its target.
+ * @param {number} aDeltaX Horizontal wheel delta.
+ * @param {number} aDeltaY Vertical wheel delta.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.scrollByWheelClick_ = function(aDeltaX,
+    aDeltaY) {
+  this.endWheelStream_();
+  this.animateStep_(this.contentOffsetX - aDeltaX,
+      this.contentOffsetY - aDeltaY);
+}
+
+
+/**
+ * Smoothly moves content to position within bounds. Steps which come while
+ * animation is running start from its target, so they add up.
+ * @param {number} aOffsetX Horizontal position to move to.
+ * @param {number} aOffsetY Vertical position to move to.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.animateStep_ = function(aOffsetX,
+    aOffsetY) {
+  const offsetX = this.getPositionWithinBounds_(true, aOffsetX);
+  const offsetY = this.getPositionWithinBounds_(false, aOffsetY);
+  if (offsetX == this.contentOffsetX && offsetY == this.contentOffsetY) {
+    // Target is at the edge where content is, or is going during running
+    // step. Transform wouldn't change, so transitionend wouldn't fire.
+    return;
+  }
+  if (!this.stepAnimating_) {
+    this.stopMomentum();
+    this.stopPropagationOnTouchEnd_ = false;
   }
+  this.showScrollBar(true);
 
-  this.startTouchY = 0;
-  this.contentOffsetY = 0;
-  this.contentStartOffsetY = 0;
+  this.beginScrolling_();
+
+  this.transitionTo_(offsetX, offsetY,
+      rflect.ui.MomentumScroller.STEP_ANIMATION_DURATION, 'ease-out');
+
+  this.isDecelerating_ = true;
+  this.stepAnimating_ = true;
 }
 
 
 /**
- * Attaches scroller.
- * @param {Element} aElement Scrollable element to add scroller to.
- * @param {boolean=} opt_useScrollPos Whether to set initial scroll position
- * from frameElement's scrollTop.
+ * Scrolls content with arrows, PageUp/PageDown, Home/End and Space.
+ * @param {goog.events.BrowserEvent} aEvent Event object.
  */
-rflect.ui.MomentumScroller.prototype.add = function(aElement,
-    opt_useScrollPos) {
-  this.setFrameElement(aElement);
-  this.setElement(goog.dom.getFirstElementChild(aElement));
-  this.enable(true, !!opt_useScrollPos);
+rflect.ui.MomentumScroller.prototype.onKeyDown = function(aEvent) {
+  if (this.isDragging_ || aEvent.altKey || aEvent.ctrlKey || aEvent.metaKey)
+    return;
+  const target = /** @type {Element} */ (aEvent.target);
+  if (rflect.ui.MomentumScroller.isEditable_(target))
+    return;
+  // Controls use Space and arrows themselves, e.g. to press button.
+  if (target != this.frameElement &&
+      rflect.ui.MomentumScroller.isInteractive_(target) &&
+      (aEvent.keyCode == goog.events.KeyCodes.SPACE ||
+      (aEvent.keyCode >= goog.events.KeyCodes.LEFT &&
+      aEvent.keyCode <= goog.events.KeyCodes.DOWN)))
+    return;
+
+  const vertical = this.scrollsVertically();
+  const lineX = this.getLineStep_(true);
+  const lineY = this.getLineStep_(false);
+  // Pages are scrolled along main axis.
+  const page = this.getPageStep_(!vertical);
+  let x = this.contentOffsetX;
+  let y = this.contentOffsetY;
+  let pages = 0;
+
+  switch (aEvent.keyCode) {
+    case goog.events.KeyCodes.UP:
+      y += lineY;
+      break;
+    case goog.events.KeyCodes.DOWN:
+      y -= lineY;
+      break;
+    case goog.events.KeyCodes.LEFT:
+      x += lineX;
+      break;
+    case goog.events.KeyCodes.RIGHT:
+      x -= lineX;
+      break;
+    case goog.events.KeyCodes.PAGE_UP:
+      pages = 1;
+      break;
+    case goog.events.KeyCodes.PAGE_DOWN:
+      pages = -1;
+      break;
+    case goog.events.KeyCodes.SPACE:
+      pages = aEvent.shiftKey ? 1 : -1;
+      break;
+    case goog.events.KeyCodes.HOME:
+      if (vertical) {
+        y = 0;
+      } else {
+        x = 0;
+      }
+      break;
+    case goog.events.KeyCodes.END:
+      if (vertical) {
+        y = this.getLowestContentPosition();
+      } else {
+        x = this.getLeftmostContentPosition();
+      }
+      break;
+    default:
+      return;
+  }
+  if (vertical) {
+    y += pages * page;
+  } else {
+    x += pages * page;
+  }
+
+  // Prevents page from being scrolled as well.
+  aEvent.preventDefault();
+  this.endWheelStream_();
+  this.animateStep_(x, y);
 }
 
 
 /**
- * Detaches scroller.
- * @param {boolean=} opt_useScrollPos Whether to set frameElement's
- * scrollTop after removal.
- *
- * This method saves <code>contentOffsetY</code>, so the next <code>add</code>
- * call will restore scroll position. To prevent this, call <code>reset</code>
- * before <code>add</code>.
+ * @param {boolean} aHorizontal Whether step is horizontal.
+ * @return {number} How far arrow key scrolls content, share of frame length.
+ * @private
  */
-rflect.ui.MomentumScroller.prototype.remove = function(opt_useScrollPos) {
-  this.enable(false, !!opt_useScrollPos);
+rflect.ui.MomentumScroller.prototype.getLineStep_ = function(aHorizontal) {
+  return Math.max(1, Math.round(this.getFrameLength_(aHorizontal) *
+      rflect.ui.MomentumScroller.KEYBOARD_LINE_RATIO));
 }
 
 
 /**
- * Detaches/attaches scroller losing scroll position.
+ * @param {boolean} aHorizontal Whether step is horizontal.
+ * @return {number} How far page key scrolls content: frame length less one
+ * line, which stays visible from previous page.
+ * @private
  */
-rflect.ui.MomentumScroller.prototype.reset = function() {
-  this.resetInternal();
+rflect.ui.MomentumScroller.prototype.getPageStep_ = function(aHorizontal) {
+  const line = this.getLineStep_(aHorizontal);
+  return Math.max(line, this.getFrameLength_(aHorizontal) - line);
 }
 
 
 /**
- * @return {number} Scroll top as in DOM.
+ * Selector of controls which use Space and arrow keys.
+ * @type {string}
+ * @private
  */
-rflect.ui.MomentumScroller.prototype.getScrollTop = function() {
-  return isNaN(this.contentOffsetY) || this.contentOffsetY == 0 ? 0 :
-      -this.contentOffsetY;
+rflect.ui.MomentumScroller.INTERACTIVE_SELECTOR_ = 'button, a[href], ' +
+    'area[href], summary, audio[controls], video[controls], [role=button], ' +
+    '[role=link], [role=checkbox], [role=radio], [role=switch], ' +
+    '[role=menuitem], [role=option], [role=tab], [role=slider], ' +
+    '[role=spinbutton], [role=listbox], [role=combobox]';
+
+
+/**
+ * @param {Element} aElement Element to test.
+ * @return {boolean} Whether element is control which handles some keys.
+ * @private
+ */
+rflect.ui.MomentumScroller.isInteractive_ = function(aElement) {
+  return !!aElement && !!aElement.matches &&
+      aElement.matches(rflect.ui.MomentumScroller.INTERACTIVE_SELECTOR_);
 }
 
 
 /**
- * @param {number} aScrollTop Scroll top as in DOM.
+ * @param {Element} aElement Element to test.
+ * @return {boolean} Whether element handles keys itself.
+ * @private
  */
-rflect.ui.MomentumScroller.prototype.setScrollTop = function(aScrollTop) {
-  let scrollTop = isNaN(aScrollTop) || aScrollTop == 0 ? 0 : -aScrollTop;
-  this.animateWithinBounds(scrollTop);
+rflect.ui.MomentumScroller.isEditable_ = function(aElement) {
+  if (!aElement)
+    return false;
+  switch (aElement.nodeName.toLowerCase()) {
+    case 'input':
+    case 'textarea':
+    case 'select':
+      return true;
+    default:
+      return !!aElement.isContentEditable;
+  }
 }
 
 
 /**
- * Calculates sizes of frame and content elements.
+ * Moves content by trackpad deltas, as if stream of wheel events was a drag.
+ * Inertia which trackpad produces after fingers are lifted is detected by
+ * decreasing deltas; once it carries content out of bounds, content bounces
+ * back and the rest of inertia is ignored.
+ * @param {number} aDeltaX Horizontal wheel delta.
+ * @param {number} aDeltaY Vertical wheel delta.
+ * @private
  */
-rflect.ui.MomentumScroller.prototype.calculateSizes = function() {
-  this.elementSize = goog.style.getSize(this.element);
-  this.frameElementSize = goog.style.getSize(this.frameElement);
+rflect.ui.MomentumScroller.prototype.scrollByWheelStream_ = function(aDeltaX,
+    aDeltaY) {
+  const magnitude = Math.abs(aDeltaX) + Math.abs(aDeltaY);
+  const continuesStream = this.wheelStreamTimeout_ != 0;
+  if (continuesStream && magnitude < this.wheelLastMagnitude_) {
+    this.wheelDecreasingCount_++;
+  } else {
+    this.wheelDecreasingCount_ = 0;
+  }
+  this.wheelLastMagnitude_ = magnitude;
+
+  clearTimeout(this.wheelStreamTimeout_);
+  this.wheelStreamTimeout_ = setTimeout(() => {
+    this.onWheelStreamEnd_();
+  }, rflect.ui.MomentumScroller.WHEEL_STREAM_END_DELAY);
+
+  // Growing deltas after ignored inertia mean that fingers are on trackpad
+  // again.
+  if (this.wheelInertiaIgnored_ && this.wheelDecreasingCount_ == 0)
+    this.wheelInertiaIgnored_ = false;
+  if (this.wheelInertiaIgnored_)
+    return;
+
+  if (!continuesStream || this.stepAnimating_ || this.isDecelerating()) {
+    this.stopMomentum();
+    this.stopPropagationOnTouchEnd_ = false;
+    this.wheelStreamStartX_ = this.contentOffsetX;
+    this.wheelStreamStartY_ = this.contentOffsetY;
+    this.wheelAccumulatedX_ = this.wheelAccumulatedY_ = 0;
+    this.showScrollBar(true);
+    this.beginScrolling_();
+  }
+
+  const inertia = this.wheelDecreasingCount_ >=
+      rflect.ui.MomentumScroller.WHEEL_INERTIA_EVENTS;
+  if (inertia && this.isOutOfBounds()) {
+    this.wheelInertiaIgnored_ = true;
+    this.snapToBounds();
+    return;
+  }
+
+  this.wheelAccumulatedX_ -= aDeltaX;
+  this.wheelAccumulatedY_ -= aDeltaY;
+  let deltaX = this.wheelAccumulatedX_;
+  let deltaY = this.wheelAccumulatedY_;
+  if (this.positionIsOutOfBounds(this.contentOffsetY)) {
+    deltaY = this.applyResistance_(deltaY, false);
+  }
+  if (this.positionIsOutOfBounds(this.contentOffsetX, true)) {
+    deltaX = this.applyResistance_(deltaX, true);
+  }
+  this.updateEdgeGlows_(this.wheelStreamStartX_ + deltaX,
+      this.wheelStreamStartY_ + deltaY);
+  if (this.bounces_()) {
+    this.animateToXY(this.wheelStreamStartX_ + deltaX,
+        this.wheelStreamStartY_ + deltaY);
+  } else {
+    this.animateWithinBoundsXY(this.wheelStreamStartX_ + deltaX,
+        this.wheelStreamStartY_ + deltaY);
+  }
 }
 
 
 /**
- * @return {number} Height of scrollbar line.
+ * Brings content back within bounds and hides scrollbar once trackpad stream
+ * is over.
+ * @private
  */
-rflect.ui.MomentumScroller.prototype.getScrollBarLineHeight = function() {
-  const height = this.frameElementSize.height / this.getSizeRatio();
-  return height < rflect.ui.MomentumScroller.SCROLLBAR_MIN_HEIGHT ?
-      rflect.ui.MomentumScroller.SCROLLBAR_MIN_HEIGHT : height;
+rflect.ui.MomentumScroller.prototype.onWheelStreamEnd_ = function() {
+  const inertiaIgnored = this.wheelInertiaIgnored_;
+  this.endWheelStream_();
+  if (inertiaIgnored)
+    return;
+  if (this.isOutOfBounds() || this.snaps_()) {
+    this.snapToBounds();
+  } else {
+    this.finishScrolling_();
+  }
 }
 
 
 /**
- * @return {number} How many times element is larger than frame element.
+ * Resets state of trackpad stream.
+ * @private
  */
-rflect.ui.MomentumScroller.prototype.getSizeRatio = function() {
-  return this.elementSize.height / this.frameElementSize.height;
+rflect.ui.MomentumScroller.prototype.endWheelStream_ = function() {
+  clearTimeout(this.wheelStreamTimeout_);
+  this.wheelStreamTimeout_ = 0;
+  this.wheelDecreasingCount_ = 0;
+  this.wheelLastMagnitude_ = 0;
+  this.wheelInertiaIgnored_ = false;
+  this.releaseEdgeGlows_();
 }
-  
-  
+
+
 /**
- * @return {boolean} Whether mouse miss close is enabled.
+ * @param {number} aDelta How far content is dragged out of bounds.
+ * @param {boolean} aHorizontal Whether delta is horizontal.
+ * @return {number} Delta reduced by rubber band resistance.
+ * @private
  */
-rflect.ui.MomentumScroller.prototype.isEnabled = function() {
-  return this.enabled_;
+rflect.ui.MomentumScroller.prototype.applyResistance_ = function(aDelta,
+    aHorizontal) {
+  if (this.resistanceFunction_)
+    return this.resistanceFunction_(aDelta, this.getFrameLength_(aHorizontal));
+  return aDelta / Math.exp(Math.abs(aDelta /
+      this.getNumberOption_('resistance')));
 }
 
 
 /**
- * Attaches all listeners to implement mouse miss behavior.
+ * Sets function which reduces distance content is dragged out of bounds,
+ * instead of default exponential one with resistance option as coefficient.
+ * @param {?rflect.ui.MomentumScroller.ResistanceFunction} aResistance
+ * Function, or null to restore the default one.
  */
-rflect.ui.MomentumScroller.prototype.enterDocument = function() {
-  this.listen(this.frameElement, goog.events.EventType.TOUCHSTART,
-      (aEvent) => {
-    aEvent.preventDefault();
+rflect.ui.MomentumScroller.prototype.setResistanceFunction = function(
+    aResistance) {
+  this.resistanceFunction_ = aResistance;
+}
+
+
+/**
+ * @return {boolean} Whether content goes out of bounds, i.e. bounces and
+ * overscroll isn't shown by edge glow instead.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.bounces_ = function() {
+  return this.getBooleanOption_('bounce') &&
+      !this.getBooleanOption_('edgeGlow');
+}
+
+
+/**
+ * Adds glow elements at edges of frame.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.addEdgeGlows_ = function() {
+  this.edgeGlows_ = {};
+  goog.object.forEach(rflect.ui.MomentumScroller.Edge, (aEdge) => {
+    const glow = goog.dom.createDom('div', ['edge-glow', 'edge-glow-' + aEdge]);
+    this.edgeGlows_[aEdge] = glow;
+    this.frameElement.appendChild(glow);
   });
-  this.listen(this.element, goog.events.EventType.TOUCHSTART,
-      this.onTouchStart, true);
-  this.listen(this.element, goog.events.EventType.TOUCHMOVE,
-      this.onTouchMove);
-  this.listen(this.element, goog.events.EventType.TOUCHEND,
-      this.onTouchEnd, true);
+  this.updateEdgeGlowStyles_();
+}
 
-  this.listen(this.element,
-      rflect.browser.transitionend.VENDOR_TRANSITION_END_NAMES,
-      this.onTransitionEnd);
+
+/**
+ * Applies edgeGlowColor and edgeGlowSize options to glow elements.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.updateEdgeGlowStyles_ = function() {
+  const size = this.getNumberOption_('edgeGlowSize') + 'px';
+  const color = this.getStringOption_('edgeGlowColor');
+  goog.object.forEach(this.edgeGlows_, (aGlow, aEdge) => {
+    if (aEdge == rflect.ui.MomentumScroller.Edge.LEFT ||
+        aEdge == rflect.ui.MomentumScroller.Edge.RIGHT)
+      aGlow.style.width = size;
+    else
+      aGlow.style.height = size;
+    const center = rflect.ui.MomentumScroller.EDGE_GLOW_CENTERS_[aEdge];
+    aGlow.style.background =
+        `radial-gradient(ellipse at ${center}, ${color}, transparent 70%)`;
+  });
 }
 
 
 /**
- * Attaches listeners to implement mouse miss behavior.
+ * @private
  */
-rflect.ui.MomentumScroller.prototype.exitDocument = function() {
-  this.removeAll();
+rflect.ui.MomentumScroller.prototype.removeEdgeGlows_ = function() {
+  clearTimeout(this.edgeGlowTimeout_);
+  this.edgeGlowTimeout_ = 0;
+  goog.object.forEach(this.edgeGlows_, (aGlow) => {
+    goog.dom.removeNode(aGlow);
+  });
+  this.edgeGlows_ = null;
 }
 
 
 /**
- * Attaches global touchmove listener.
+ * Shows how far drag or wheel asks content out of bounds by glows at edges.
+ * @param {number} aOffsetX Horizontal offset content is asked to move to.
+ * @param {number} aOffsetY Vertical offset content is asked to move to.
  * @private
  */
-rflect.ui.MomentumScroller.prototype.attachDocumentListener_ = function() {
-  if (!goog.isDefAndNotNull(rflect.ui.MomentumScroller.documentListenerKey_))
-    rflect.ui.MomentumScroller.documentListenerKey_ = goog.events.listen(
-        document.body, goog.events.EventType.TOUCHMOVE,
-        rflect.ui.MomentumScroller.onDocumentTouchMove_, false, this);
+rflect.ui.MomentumScroller.prototype.updateEdgeGlows_ = function(aOffsetX,
+    aOffsetY) {
+  if (!this.edgeGlows_)
+    return;
+  // Glow lit by momentum is taken over.
+  clearTimeout(this.edgeGlowTimeout_);
+  this.edgeGlowTimeout_ = 0;
+  const overscrollX = this.scrollsHorizontally() ?
+      aOffsetX - this.getPositionWithinBounds_(true, aOffsetX) : 0;
+  const overscrollY = this.scrollsVertically() ?
+      aOffsetY - this.getPositionWithinBounds_(false, aOffsetY) : 0;
+  this.setEdgeGlow_(rflect.ui.MomentumScroller.Edge.LEFT,
+      Math.max(0, overscrollX));
+  this.setEdgeGlow_(rflect.ui.MomentumScroller.Edge.RIGHT,
+      Math.max(0, -overscrollX));
+  // Pull indicator shows overscroll at top edge instead.
+  this.setEdgeGlow_(rflect.ui.MomentumScroller.Edge.TOP,
+      this.pullIndicator_ ? 0 : Math.max(0, overscrollY));
+  this.setEdgeGlow_(rflect.ui.MomentumScroller.Edge.BOTTOM,
+      Math.max(0, -overscrollY));
+}
+
+
+/**
+ * Sets glow at edge, brighter and deeper for larger overscroll. Glow follows
+ * the same resistance as content would.
+ * @param {rflect.ui.MomentumScroller.Edge} aEdge Edge.
+ * @param {number} aOverscroll How far content is asked past edge.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.setEdgeGlow_ = function(aEdge,
+    aOverscroll) {
+  const glow = this.edgeGlows_[aEdge];
+  const horizontal = aEdge == rflect.ui.MomentumScroller.Edge.LEFT ||
+      aEdge == rflect.ui.MomentumScroller.Edge.RIGHT;
+  const intensity = Math.min(1, Math.abs(this.applyResistance_(aOverscroll,
+      horizontal)) / rflect.ui.MomentumScroller.EDGE_GLOW_DISTANCE);
+  goog.dom.classlist.remove(glow, 'edge-glow-fading');
+  glow.style.opacity = String(intensity);
+  rflect.browser.css.setTransform(glow, horizontal ? `scaleX(${intensity})` :
+      `scaleY(${intensity})`);
+}
+
+
+/**
+ * Lights glows at edges which momentum hits, brighter for faster hit, and
+ * fades them out shortly.
+ * @param {number} aVelocityX Horizontal velocity with which content hits
+ * bound, 0 if it doesn't.
+ * @param {number} aVelocityY Vertical velocity with which content hits
+ * bound, 0 if it doesn't.
+ * @param {number=} opt_delay Time after which content hits bound, ms.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.absorbEdgeGlows_ = function(aVelocityX,
+    aVelocityY, opt_delay) {
+  if (!this.edgeGlows_ || (!aVelocityX && !aVelocityY))
+    return;
+  clearTimeout(this.edgeGlowTimeout_);
+  if (opt_delay) {
+    this.edgeGlowTimeout_ = setTimeout(() => {
+      this.absorbEdgeGlows_(aVelocityX, aVelocityY);
+    }, opt_delay);
+    return;
+  }
+
+  // Velocity is shown as overscroll which bounce would have with it.
+  if (aVelocityX) {
+    this.setEdgeGlow_(aVelocityX > 0 ? rflect.ui.MomentumScroller.Edge.LEFT :
+        rflect.ui.MomentumScroller.Edge.RIGHT,
+        this.getBounceDisplacement_(aVelocityX));
+  }
+  if (aVelocityY) {
+    this.setEdgeGlow_(aVelocityY > 0 ? rflect.ui.MomentumScroller.Edge.TOP :
+        rflect.ui.MomentumScroller.Edge.BOTTOM,
+        this.getBounceDisplacement_(aVelocityY));
+  }
+  this.edgeGlowTimeout_ = setTimeout(() => {
+    this.edgeGlowTimeout_ = 0;
+    this.releaseEdgeGlows_();
+  }, rflect.ui.MomentumScroller.EDGE_GLOW_HOLD_TIME);
+}
+
+
+/**
+ * Fades glows out once drag or wheel is over.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.releaseEdgeGlows_ = function() {
+  goog.object.forEach(this.edgeGlows_, (aGlow) => {
+    if (aGlow.style.opacity && aGlow.style.opacity != '0') {
+      goog.dom.classlist.add(aGlow, 'edge-glow-fading');
+      aGlow.style.opacity = '0';
+    }
+  });
+}
+
+
+/**
+ * Cancels click which browser fires after mouse drag.
+ * @param {goog.events.BrowserEvent} aEvent Event object.
+ */
+rflect.ui.MomentumScroller.prototype.onClick = function(aEvent) {
+  if (this.suppressNextClick_) {
+    aEvent.stopPropagation();
+    aEvent.preventDefault();
+    this.suppressNextClick_ = false;
+  }
+}
+
+
+/**
+ * Starts drag from given point. Common part for all kinds of input.
+ * @param {goog.events.BrowserEvent} aEvent Event which started drag.
+ * @param {number} aClientX Horizontal coordinate of drag start.
+ * @param {number} aClientY Vertical coordinate of drag start.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.startDrag_ = function(aEvent, aClientX,
+    aClientY) {
+  // This will be shown in part 4.
+  this.stopMomentum();
+  this.showScrollBar(true);
+  this.suppressNextClick_ = false;
+  this.joinGesture_(aEvent.getBrowserEvent());
+  if (this.stopPropagationOnTouchEnd_) {
+    if (goog.DEBUG)
+      console.log('aEvent touch start: ', aEvent);
+    // Touch which stops momentum isn't a press, for outer scrollers too.
+    this.gesture_.stoppedMomentum = true;
+    aEvent.preventDefault();
+    // With direction lock, outer scrollers join gesture, so that it goes to
+    // the one which takes its direction. Otherwise this scroller consumes it.
+    if (!this.getBooleanOption_('directionLock'))
+      aEvent.stopPropagation();
+  } else if (!this.gesture_.stoppedMomentum) {
+    this.startPress_(aEvent);
+  }
+
+  this.resetDragStart_(aClientX, aClientY);
+
+  if (rflect.ui.MomentumScroller.COLOR_DEBUG && goog.DEBUG) {
+    goog.dom.classlist.removeAll(this.element, ['red', 'blue', 'green']);
+  }
+
+  this.isDragging_ = true;
+}
+
+
+/**
+ * Makes given point start of drag, and current content position its start
+ * position.
+ * @param {number} aClientX Horizontal coordinate of drag start.
+ * @param {number} aClientY Vertical coordinate of drag start.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.resetDragStart_ = function(aClientX,
+    aClientY) {
+  this.startTouchY = aClientY;
+  this.startTouchX = aClientX;
+  this.contentStartOffsetY = this.contentOffsetY;
+  this.contentStartOffsetX = this.contentOffsetX;
+
+  this.currentPoint_ = this.startTouchY;
+  this.currentPointX_ = this.startTouchX;
+  this.velocityTracker_.reset();
+  this.velocityTracker_.addSample(aClientX, aClientY, goog.now());
+}
+
+
+/**
+ * Registers scroller as participant of gesture. Gesture is identified by
+ * browser event which started it, because nested scrollers all receive it.
+ * @param {Event} aBrowserEvent Event which started drag.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.joinGesture_ = function(aBrowserEvent) {
+  this.gesture_ = rflect.ui.Gesture.getByEvent(aBrowserEvent);
+  this.gesture_.scrollers.push(this);
+  this.gestureYielded_ = false;
+  this.lockedAxis_ = null;
+}
+
+
+/**
+ * @param {boolean} aHorizontal Whether direction is horizontal.
+ * @param {number} aDelta Drag delta along axis, only its sign matters.
+ * @return {boolean} Whether content can move in drag direction, i.e. isn't
+ * at the edge which drag pulls it out of.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.canMoveInDirection_ = function(
+    aHorizontal, aDelta) {
+  if (!(aHorizontal ? this.scrollsHorizontally() : this.scrollsVertically()))
+    return false;
+  const offset = aHorizontal ? this.contentStartOffsetX :
+      this.contentStartOffsetY;
+  return this.getPositionWithinBounds_(aHorizontal, offset +
+      rflect.math.sign(aDelta)) != this.getPositionWithinBounds_(aHorizontal,
+      offset);
+}
+
+
+/**
+ * Scrollers of current gesture with direction lock, innermost first.
+ * @return {!Array<!rflect.ui.MomentumScroller>} Scrollers.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.getLockingGestureScrollers_ =
+    function() {
+  // Participants all contain gesture target, so they are nested in each
+  // other and the deeper frame is the inner one.
+  return this.gesture_.scrollers.filter((aScroller) =>
+      aScroller.isEnabled() &&
+      aScroller.getBooleanOption_('directionLock')).map((aScroller) => ({
+        scroller: aScroller,
+        depth: rflect.ui.MomentumScroller.getDepth_(aScroller.frameElement)
+      })).sort((aA, aB) => aB.depth - aA.depth).map((aEntry) =>
+      aEntry.scroller);
+}
+
+
+/**
+ * @param {Node} aNode Node.
+ * @return {number} Number of ancestors of node.
+ * @private
+ */
+rflect.ui.MomentumScroller.getDepth_ = function(aNode) {
+  let depth = 0;
+  for (let node = aNode.parentNode; node; node = node.parentNode) {
+    depth++;
+  }
+  return depth;
+}
+
+
+/**
+ * Decides which scroller gets gesture of given direction. It's the innermost
+ * one which scrolls along it and, with scroll chaining, isn't at the edge in
+ * drag direction. If all of them are at edges, the innermost one gets it.
+ * @param {boolean} aHorizontal Whether direction is horizontal.
+ * @param {number} aDelta Drag delta along axis.
+ * @return {rflect.ui.MomentumScroller} Owner of gesture, or null if no
+ * scroller scrolls along this direction.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.findGestureOwner_ = function(
+    aHorizontal, aDelta) {
+  const scrollers = this.getLockingGestureScrollers_().
+      filter((aScroller) => aHorizontal ? aScroller.scrollsHorizontally() :
+      aScroller.scrollsVertically());
+  return scrollers.find((aScroller) =>
+      !aScroller.getBooleanOption_('scrollChaining') ||
+      aScroller.canMoveInDirection_(aHorizontal, aDelta)) ||
+      scrollers[0] || null;
 }
 
 
 /**
- * Detaches global touchmove listener.
+ * Decides, once drag passed threshold, whether this scroller takes gesture.
+ * Gesture direction is the axis along which finger moved farther.
+ * @param {number} aDeltaX Horizontal drag delta.
+ * @param {number} aDeltaY Vertical drag delta.
+ * @return {boolean} Whether this scroller took gesture.
  * @private
  */
-rflect.ui.MomentumScroller.prototype.detachDocumentListener_ = function() {
-  if (rflect.ui.MomentumScroller.instancesCount_ == 0) {
-    goog.events.unlistenByKey(rflect.ui.MomentumScroller.documentListenerKey_);
-    rflect.ui.MomentumScroller.documentListenerKey_ = null;
+rflect.ui.MomentumScroller.prototype.claimGesture_ = function(aDeltaX,
+    aDeltaY) {
+  const horizontal = Math.abs(aDeltaX) > Math.abs(aDeltaY);
+  if (!this.gesture_.owner) {
+    this.gesture_.owner = this.findGestureOwner_(horizontal,
+        horizontal ? aDeltaX : aDeltaY);
   }
+  if (this.gesture_.owner != this)
+    return false;
+  this.lockedAxis_ = horizontal;
+  return true;
 }
 
 
 /**
- * Document-level mouse listener.
- * @param {Event} aEvent Event object.
+ * Gives up gesture, leaving content at given position.
+ * @param {number} aOffsetX Horizontal offset to leave content at.
+ * @param {number} aOffsetY Vertical offset to leave content at.
+ * @private
  */
-rflect.ui.MomentumScroller.onDocumentTouchMove_ = function(aEvent) {
-  // This prevents native scrolling from happening.
-  aEvent.preventDefault();
+rflect.ui.MomentumScroller.prototype.yieldGesture_ = function(aOffsetX,
+    aOffsetY) {
+  if (goog.DEBUG)
+    console.log('gesture yielded');
+  this.gestureYielded_ = true;
+  this.isDragging_ = false;
+  this.gestureRecognizer_.endPress();
+  this.animateToXY(aOffsetX, aOffsetY);
+  if (this.dragStarted_) {
+    this.dragStarted_ = false;
+    this.dispatch_(rflect.ui.MomentumScroller.EventType.DRAG_END,
+        this.contentOffsetX, this.contentOffsetY, 0, 0);
+  }
+  this.finishScrolling_();
 }
 
 
 /**
- * @param {goog.events.Event} aEvent Event object.
+ * Hands gesture over to the nearest outer scroller which can move in drag
+ * direction, if any.
+ * @param {boolean} aHorizontal Whether drag is horizontal.
+ * @param {number} aDelta Drag delta along axis, only its sign matters.
+ * @param {number} aClientX Current horizontal coordinate of drag.
+ * @param {number} aClientY Current vertical coordinate of drag.
+ * @return {boolean} Whether gesture was handed over.
+ * @private
  */
-rflect.ui.MomentumScroller.prototype.onTouchStart = function(aEvent) {
-  if (goog.DEBUG)
-    console.log('onTouchStart');
-  // This will be shown in part 4.
-  this.stopMomentum();
-  this.showScrollBar(true);
-  if (this.stopPropagationOnTouchEnd_) {
-    if (goog.DEBUG)
-      console.log('aEvent touch start: ', aEvent);
-    aEvent.stopPropagation();
-    aEvent.preventDefault();
-  }
-
-  this.startTouchY = aEvent.getBrowserEvent().touches[0].clientY;
-  this.startTouchX = aEvent.getBrowserEvent().touches[0].clientX;
-  this.contentStartOffsetY = this.contentOffsetY;
+rflect.ui.MomentumScroller.prototype.chainGesture_ = function(aHorizontal,
+    aDelta, aClientX, aClientY) {
+  const outer = this.getLockingGestureScrollers_().find((aScroller) =>
+      aScroller != this &&
+      goog.dom.contains(aScroller.frameElement, this.frameElement) &&
+      aScroller.canMoveInDirection_(aHorizontal, aDelta));
+  if (!outer)
+    return false;
 
-  this.previousPoint_ = this.currentPoint_ = this.startTouchY;
-  this.previousMoment_ = this.currentMoment_ = goog.now();
+  // Content stays exactly at the edge it reached.
+  this.yieldGesture_(
+      this.getPositionWithinBounds_(true, this.contentOffsetX),
+      this.getPositionWithinBounds_(false, this.contentOffsetY));
+  this.gesture_.owner = outer;
+  outer.takeGesture_(aHorizontal, aClientX, aClientY);
+  return true;
+}
 
-  if (rflect.ui.MomentumScroller.COLOR_DEBUG && goog.DEBUG) {
-    goog.dom.classlist.removeAll(this.element, ['red', 'blue', 'green']);
-  }
 
+/**
+ * Continues gesture handed over by inner scroller from given point.
+ * @param {boolean} aHorizontal Whether drag is horizontal.
+ * @param {number} aClientX Current horizontal coordinate of drag.
+ * @param {number} aClientY Current vertical coordinate of drag.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.takeGesture_ = function(aHorizontal,
+    aClientX, aClientY) {
+  this.gestureYielded_ = false;
+  this.lockedAxis_ = aHorizontal;
+  this.resetDragStart_(aClientX, aClientY);
   this.isDragging_ = true;
+  this.dragStarted_ = true;
+  this.showScrollBar(true);
+  this.beginScrolling_();
+  this.dispatch_(rflect.ui.MomentumScroller.EventType.DRAG_START,
+      this.contentOffsetX, this.contentOffsetY, 0, 0);
 }
 
 
 /**
- * @param {goog.events.Event} aEvent Event object.
+ * Moves content following drag. Common part for all kinds of input.
+ * @param {number} aClientX Current horizontal coordinate of drag.
+ * @param {number} aClientY Current vertical coordinate of drag.
+ * @private
  */
-rflect.ui.MomentumScroller.prototype.onTouchMove = function(aEvent) {
-  if (goog.DEBUG)
-    console.log('onTouchMove');
+rflect.ui.MomentumScroller.prototype.moveDrag_ = function(aClientX,
+    aClientY) {
+  if (this.gestureYielded_)
+    return;
   if (this.isDragging()) {
-    var currentY = aEvent.getBrowserEvent().touches[0].clientY;
+    var currentY = aClientY;
+    var currentX = aClientX;
     var deltaY = currentY - this.startTouchY;
+    var deltaX = currentX - this.startTouchX;
+
+    if (this.getBooleanOption_('directionLock') &&
+        goog.isNull(this.lockedAxis_) && Math.max(Math.abs(deltaX),
+        Math.abs(deltaY)) >= this.getNumberOption_('dragThreshold') &&
+        !this.claimGesture_(deltaX, deltaY)) {
+      // Moves under threshold are undone.
+      this.yieldGesture_(this.contentStartOffsetX, this.contentStartOffsetY);
+      return;
+    }
+    if (this.lockedAxis_ === true) {
+      deltaY = 0;
+    } else if (this.lockedAxis_ === false) {
+      deltaX = 0;
+    }
 
     if (goog.DEBUG)
       console.log('deltaY before: ', deltaY);
     if (goog.DEBUG)
         console.log('this.isOutOfBounds(): ', this.isOutOfBounds());
-    if (this.isOutOfBounds()) {
-      deltaY /= Math.exp(Math.abs(deltaY/550))
+    if (this.positionIsOutOfBounds(this.contentOffsetY)) {
+      deltaY = this.applyResistance_(deltaY, false);
+    }
+    if (this.positionIsOutOfBounds(this.contentOffsetX, true)) {
+      deltaX = this.applyResistance_(deltaX, true);
     }
     if (goog.DEBUG)
       console.log('deltaY: after', deltaY);
 
-    var newY = deltaY + this.contentStartOffsetY;
+    var newY = this.scrollsVertically() ?
+        deltaY + this.contentStartOffsetY : this.contentOffsetY;
+    var newX = this.scrollsHorizontally() ?
+        deltaX + this.contentStartOffsetX : this.contentOffsetX;
+
+    if (!goog.isNull(this.lockedAxis_) &&
+        this.getBooleanOption_('scrollChaining')) {
+      const newPosition = this.lockedAxis_ ? newX : newY;
+      const delta = newPosition - this.getPositionWithinBounds_(
+          this.lockedAxis_, newPosition);
+      if (delta && this.chainGesture_(this.lockedAxis_, delta, currentX,
+          currentY))
+        return;
+    }
+
+    this.updateEdgeGlows_(newX, newY);
+    if (!this.bounces_()) {
+      // Content is still pulled down past top edge for pull-to-refresh.
+      if (!this.pullIndicator_ || newY < this.getHighestContentPosition())
+        newY = this.getPositionWithinBounds_(false, newY);
+      newX = this.getPositionWithinBounds_(true, newX);
+    }
 
-    this.previousPoint_ = this.currentPoint_;
-    this.previousMoment_ = this.currentMoment_;
+    if (!this.dragStarted_ && this.getDragDistance_() >=
+        this.getNumberOption_('dragThreshold')) {
+      this.dragStarted_ = true;
+      this.gestureRecognizer_.endPress();
+      this.capturePointer_();
+      this.beginScrolling_();
+      this.dispatch_(rflect.ui.MomentumScroller.EventType.DRAG_START,
+          this.contentOffsetX, this.contentOffsetY, 0, 0);
+    }
 
     this.currentPoint_ = currentY;
-    this.currentMoment_ = goog.now();
+    this.currentPointX_ = currentX;
+    this.velocityTracker_.addSample(currentX, currentY, goog.now());
 
-    this.animateTo(newY);
+    this.animateToXY(newX, newY);
+    this.updatePullProgress_();
   }
 }
 
 
 /**
- * @param {goog.events.BrowserEvent} aEvent object.
+ * Finishes drag, starting momentum or bringing content back within bounds.
+ * Common part for all kinds of input.
+ * @param {goog.events.BrowserEvent} aEvent Event which ended drag.
+ * @param {boolean} aSynthesizeClick Whether to synthesize click if finger
+ * didn't move. Not needed for mouse, which produces native click.
+ * @private
  */
-rflect.ui.MomentumScroller.prototype.onTouchEnd = function(aEvent) {
-  if (goog.DEBUG)
-    console.log('onTouchEnd');
-
+rflect.ui.MomentumScroller.prototype.endDrag_ = function(aEvent,
+    aSynthesizeClick) {
   if (goog.DEBUG)
     console.log('this.isDragging(): ', this.isDragging());
   if (goog.DEBUG)
     console.log('this.shouldStartMomentum(): ', this.shouldStartMomentum());
 
+  if (this.gestureYielded_) {
+    // Another scroller or browser handled gesture.
+    this.gestureYielded_ = false;
+    this.resetDrag_();
+    return;
+  }
+
+  // Release velocity is estimated before momentum takes over.
+  const swiped = this.dragStarted_ && this.getBooleanOption_('gestures') &&
+      rflect.ui.GestureRecognizer.isSwipe(this.getEndVelocityX(),
+      this.getEndVelocity());
+  if (swiped) {
+    this.dispatchSwipe_();
+  }
+
+  if (this.dragStarted_) {
+    this.dragStarted_ = false;
+    this.dispatch_(rflect.ui.MomentumScroller.EventType.DRAG_END,
+        this.contentOffsetX, this.contentOffsetY, 0, 0);
+  }
+
   if (this.isDragging()) {
 
-    if (this.shouldStartMomentum()) {
+    if (this.shouldStartRefresh_()) {
+      this.startRefresh_();
+    } else if (this.shouldStartMomentum()) {
       // This will be shown in part 3.
       this.doMomentum();
     } else {
@@ -724,12 +5023,15 @@ rflect.ui.MomentumScroller.prototype.onTouchEnd = function(aEvent) {
     }
 
   } else {
-    this.showScrollBarDelayed(false);
+    this.finishScrolling_();
   }
 
 
-  if (this.stopPropagationOnTouchEnd_ || (Math.abs(this.currentPoint_ -
-      this.startTouchY) >= rflect.ui.MomentumScroller.DRAG_THRESHOLD)) {
+  // Touch which only stopped momentum reaches outer scrollers which joined
+  // gesture, so that they finish it too.
+  if ((this.stopPropagationOnTouchEnd_ &&
+      !this.getBooleanOption_('directionLock')) || (this.getDragDistance_() >=
+      this.getNumberOption_('dragThreshold'))) {
     //Prevent accidental selection of chips on main pane.
     if (goog.DEBUG)
       console.log('aEvent touch end: ', aEvent);
@@ -741,25 +5043,152 @@ rflect.ui.MomentumScroller.prototype.onTouchEnd = function(aEvent) {
     aEvent.preventDefault();
 
     this.stopPropagationOnTouchEnd_ = false;
+    this.suppressNextClick_ = !aSynthesizeClick;
+  } else if (this.gestureRecognizer_.isLongPressed() ||
+      this.gesture_.stoppedMomentum) {
+    // Long press, or touch which stopped momentum, replaces tap and click.
+    this.stopPropagationOnTouchEnd_ = false;
+    this.suppressNextClick_ = !aSynthesizeClick;
   } else {
-    this.synthesizeClick(this.startTouchX, this.startTouchY);
+    const doubleTap = this.gestureRecognizer_.recognizeDoubleTap(
+        this.startTouchX, this.startTouchY);
+    if (this.getBooleanOption_('gestures') &&
+        !this.gesture_.recognized) {
+      // Nested scrollers get the same tap, but it's dispatched once.
+      this.gesture_.recognized = true;
+      this.dispatchGesture_(rflect.ui.MomentumScroller.GestureType.TAP,
+          this.startTouchX, this.startTouchY);
+      if (doubleTap) {
+        this.dispatchGesture_(
+            rflect.ui.MomentumScroller.GestureType.DOUBLE_TAP,
+            this.startTouchX, this.startTouchY);
+      }
+    }
+    if (doubleTap && this.getBooleanOption_('zoom')) {
+      this.zoomOnDoubleTap_(this.startTouchX, this.startTouchY);
+    }
+    if (aSynthesizeClick && this.getStringOption_('clickMode') !=
+        rflect.ui.MomentumScroller.ClickMode.NONE &&
+        !this.gesture_.clickSynthesized) {
+      // Nested scrollers get the same tap, but only one click is needed.
+      this.gesture_.clickSynthesized = true;
+      this.synthesizeClick(this.startTouchX, this.startTouchY);
+    }
   }
 
-  this.previousPoint_ = this.previousMoment_ = this.currentPoint_ =
-      this.currentMoment_ = 0;
+  this.resetDrag_();
+}
+
+
+/**
+ * Resets drag state.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.resetDrag_ = function() {
+  this.currentPoint_ = this.currentPointX_ = 0;
+  this.velocityTracker_.reset();
   this.startTouchY = 0;
   this.startTouchX = 0;
   this.isDragging_ = false;
+  this.lockedAxis_ = null;
+  this.pullProgress_ = 0;
+  this.gestureRecognizer_.reset();
+  this.releaseEdgeGlows_();
+}
+
+
+/**
+ * Starts recognizing press on element where gesture started.
+ * @param {goog.events.BrowserEvent} aEvent Event which started drag.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.startPress_ = function(aEvent) {
+  this.gestureRecognizer_.startPress(/** @type {Element} */ (aEvent.target),
+      this.getStringOption_('tapHighlightClass'),
+      this.getBooleanOption_('gestures') ? () => this.onLongPress_() : null,
+      this.getNumberOption_('longPressDelay'));
+}
+
+
+/**
+ * Dispatches long press if finger still stays within drag threshold.
+ * @return {boolean} Whether press is long press.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.onLongPress_ = function() {
+  if (!this.isDragging_ || this.dragStarted_ || this.gestureYielded_)
+    return false;
+  if (!this.gesture_.recognized) {
+    this.gesture_.recognized = true;
+    this.dispatchGesture_(rflect.ui.MomentumScroller.GestureType.LONG_PRESS,
+        this.startTouchX, this.startTouchY);
+  }
+  return true;
 }
 
 
+/**
+ * Dispatches swipe in direction of dominant release velocity.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.dispatchSwipe_ = function() {
+  const velocityX = this.getEndVelocityX();
+  const velocityY = this.getEndVelocity();
+  this.dispatchGesture_(rflect.ui.MomentumScroller.GestureType.SWIPE,
+      this.currentPointX_, this.currentPoint_, {
+    'direction': rflect.ui.GestureRecognizer.getSwipeDirection(velocityX,
+        velocityY),
+    'velocityX': velocityX,
+    'velocityY': velocityY
+  });
+}
+
+
+/**
+ * Dispatches gesture event on element where gesture started.
+ * @param {rflect.ui.MomentumScroller.GestureType} aType Gesture type.
+ * @param {number} aClientX Horizontal coordinate of gesture.
+ * @param {number} aClientY Vertical coordinate of gesture.
+ * @param {Object=} opt_detail Fields of event detail besides coordinates.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.dispatchGesture_ = function(aType,
+    aClientX, aClientY, opt_detail) {
+  this.gestureRecognizer_.dispatch(aType, this.element, aClientX, aClientY,
+      opt_detail);
+}
+
+
+/**
+ * Dispatches click at point, as clickMode option says, and focuses target if
+ * it's form field.
+ * @param {number} aClientX Horizontal coordinate of click.
+ * @param {number} aClientY Vertical coordinate of click.
+ */
 rflect.ui.MomentumScroller.prototype.synthesizeClick = function(aClientX,
     aClientY) {
-  var evt = document.createEvent('MouseEvents');
-  evt.initMouseEvent('click', true, false, window,
-     0, 0, 0, aClientX, aClientY, false, false, false, false, 0, null);
-  var element = document.elementFromPoint(aClientX, aClientY);
-  var canceled = !element.dispatchEvent(evt);
+  // Point may be outside of viewport, then element where touch started is
+  // clicked.
+  const element = document.elementFromPoint(aClientX, aClientY) ||
+      this.gestureRecognizer_.getPressTarget() || this.element;
+  const init = {
+    'bubbles': true,
+    'cancelable': true,
+    'view': window,
+    'detail': 1,
+    'clientX': aClientX,
+    'clientY': aClientY
+  };
+  let event;
+  if (this.getStringOption_('clickMode') ==
+      rflect.ui.MomentumScroller.ClickMode.POINTER && window.PointerEvent) {
+    init['pointerType'] = 'touch';
+    init['isPrimary'] = true;
+    event = new PointerEvent(goog.events.EventType.CLICK, init);
+  } else {
+    event = new MouseEvent(goog.events.EventType.CLICK, init);
+  }
+  element.dispatchEvent(event);
   this.focusIfNeeded(element);
 }
 
@@ -807,6 +5236,118 @@ rflect.ui.MomentumScroller.needsFocus = function(aElement) {
 }
 
 
+/**
+ * Brings element focused inside content into view, whether by tap, Tab or
+ * screen reader, since browser can't scroll transformed content to it.
+ * @param {goog.events.BrowserEvent} aEvent Event object.
+ */
+rflect.ui.MomentumScroller.prototype.onFocusIn = function(aEvent) {
+  const target = /** @type {Element} */ (aEvent.target);
+  this.resetFrameScroll_();
+  if (!this.getBooleanOption_('revealFocus') || this.isDragging_ ||
+      target == this.element)
+    return;
+  this.revealElement_(target);
+}
+
+
+/**
+ * Keeps focused element visible when visual viewport shrinks, as when
+ * on-screen keyboard opens.
+ */
+rflect.ui.MomentumScroller.prototype.onViewportResize = function() {
+  const focused = document.activeElement;
+  if (!this.getBooleanOption_('revealFocus') || this.isDragging_ ||
+      !focused || focused == this.element ||
+      !goog.dom.contains(this.element, focused))
+    return;
+  this.revealElement_(focused);
+}
+
+
+/**
+ * Scrolls frame itself back to its start, content is moved only by offsets.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.resetFrameScroll_ = function() {
+  if (this.frameElement.scrollTop || this.frameElement.scrollLeft) {
+    this.frameElement.scrollTop = this.frameElement.scrollLeft = 0;
+  }
+}
+
+
+/**
+ * Smoothly scrolls content by the least amount at which descendant is within
+ * visible part of frame, with margin.
+ * @param {Element} aElement Descendant of content.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.revealElement_ = function(aElement) {
+  const margin = this.getNumberOption_('focusMargin');
+  const position = goog.style.getRelativePosition(aElement, this.element);
+  const size = goog.style.getSize(aElement).scale(this.zoom_);
+  const visible = this.getVisibleFrameRect_();
+  const scrollLeft = this.scrollsHorizontally() ?
+      rflect.ui.MomentumScroller.getRevealPosition_(this.getScrollLeft(),
+      position.x, size.width, visible.left, visible.width, margin) :
+      this.getScrollLeft();
+  const scrollTop = this.scrollsVertically() ?
+      rflect.ui.MomentumScroller.getRevealPosition_(this.getScrollTop(),
+      position.y, size.height, visible.top, visible.height, margin) :
+      this.getScrollTop();
+  if (scrollLeft != this.getScrollLeft() || scrollTop != this.getScrollTop())
+    this.scrollToXY_(scrollLeft, scrollTop, {});
+}
+
+
+/**
+ * @return {!goog.math.Rect} Part of frame which is within visual viewport,
+ * relative to frame.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.getVisibleFrameRect_ = function() {
+  const width = this.getFrameLength_(true);
+  const height = this.getFrameLength_(false);
+  const viewport = window.visualViewport;
+  if (!viewport)
+    return new goog.math.Rect(0, 0, width, height);
+
+  // Client rectangle is relative to layout viewport, and visual viewport is
+  // offset within it.
+  const frameRect = this.frameElement.getBoundingClientRect();
+  const left = Math.max(0, viewport.offsetLeft - frameRect.left);
+  const top = Math.max(0, viewport.offsetTop - frameRect.top);
+  const right = Math.min(width,
+      viewport.offsetLeft + viewport.width - frameRect.left);
+  const bottom = Math.min(height,
+      viewport.offsetTop + viewport.height - frameRect.top);
+  return new goog.math.Rect(left, top, Math.max(0, right - left),
+      Math.max(0, bottom - top));
+}
+
+
+/**
+ * @param {number} aCurrent Current scroll position.
+ * @param {number} aStart Start of element within content.
+ * @param {number} aLength Size of element along axis.
+ * @param {number} aVisibleStart Start of visible part within frame.
+ * @param {number} aVisibleLength Length of visible part.
+ * @param {number} aMargin Gap to keep around element.
+ * @return {number} Nearest scroll position at which element is visible, or
+ * its start is, if element doesn't fit.
+ * @private
+ */
+rflect.ui.MomentumScroller.getRevealPosition_ = function(aCurrent, aStart,
+    aLength, aVisibleStart, aVisibleLength, aMargin) {
+  const startAligned = aStart - aMargin - aVisibleStart;
+  const endAligned = aStart + aLength + aMargin - aVisibleStart -
+      aVisibleLength;
+  if (aCurrent > startAligned || endAligned > startAligned)
+    return startAligned;
+  return Math.max(aCurrent, endAligned);
+}
+
+
 /**
  * @param {goog.events.BrowserEvent} aEvent object.
  */
@@ -815,14 +5356,22 @@ rflect.ui.MomentumScroller.prototype.onTransitionEnd = function(aEvent) {
   if (aEvent.target != this.element) {
     return;
   }
+  this.onMovementEnd_();
+}
+
 
+/**
+ * Called when content gets to position of transition or animation, sets up
+ * next stage of momentum if any.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.onMovementEnd_ = function() {
   switch (this.queuedTransitionStage_) {
     case rflect.ui.MomentumScroller.QUEUED_TRANSITION_STAGE.NONE:{
-      rflect.browser.css.setTransition(this.element, '');
-      rflect.browser.css.setTransition(this.getScrollBarContainer(), '');
-      rflect.browser.css.setTransition(this.getScrollBarLine(), '');
-      this.showScrollBarDelayed(false);
+      this.clearTransitionAll();
       this.isDecelerating_ = false;
+      this.stepAnimating_ = false;
+      this.finishScrolling_();
     };break;
     case rflect.ui.MomentumScroller.QUEUED_TRANSITION_STAGE.TO_BOUNDS:{
       this.setUpTransitionStage2();
@@ -833,14 +5382,12 @@ rflect.ui.MomentumScroller.prototype.onTransitionEnd = function(aEvent) {
     case rflect.ui.MomentumScroller.QUEUED_TRANSITION_STAGE.BOUNCED_BACK:{
       this.queuedTransitionStage_ =
           rflect.ui.MomentumScroller.QUEUED_TRANSITION_STAGE.NONE;
-      rflect.browser.css.setTransition(this.element, '');
-      rflect.browser.css.setTransition(this.getScrollBarLine(), '');
-      rflect.browser.css.setTransition(this.getScrollBarContainer(), '');
+      this.clearTransitionAll();
       if (rflect.ui.MomentumScroller.COLOR_DEBUG && goog.DEBUG) {
         goog.dom.classlist.removeAll(this.element, ['blue', 'red', 'green']);
       }
-      this.showScrollBarDelayed(false);
       this.isDecelerating_ = false;
+      this.finishScrolling_();
     };break;
     default:break;
   }
@@ -855,16 +5402,45 @@ rflect.ui.MomentumScroller.prototype.onTransitionEnd = function(aEvent) {
  */
 rflect.ui.MomentumScroller.prototype.animateTo = function(offsetY,
     opt_doNotAnimateScrollBar) {
+  this.animateToXY(this.contentOffsetX, offsetY, opt_doNotAnimateScrollBar);
+}
+
+
+/**
+ * Moves element and (optionally) scrollbars to position on both axes.
+ * @param {number} offsetX Where to move horizontally.
+ * @param {number} offsetY Where to move vertically.
+ * @param {boolean=} opt_doNotAnimateScrollBar Whether to omit scrollbars from
+ * move.
+ */
+rflect.ui.MomentumScroller.prototype.animateToXY = function(offsetX, offsetY,
+    opt_doNotAnimateScrollBar) {
+  this.contentOffsetX = offsetX;
   this.contentOffsetY = offsetY;
 
   // We use webkit-transforms with translate3d because these animations
   // will be hardware accelerated, and therefore significantly faster
   // than changing the top value.
   rflect.browser.css.setTransform(this.element,
-      `translate3d(0, ${offsetY}px, 0)`);
+      `translate3d(${offsetX}px, ${offsetY}px, 0)` +
+      (this.getBooleanOption_('zoom') ? ` scale(${this.zoom_})` : ''));
+  this.updatePullIndicator_();
+
+  if (this.transitioning_) {
+    // Content will get to position gradually, so we read intermediate
+    // positions from computed style.
+    this.startPositionTracking_();
+  } else {
+    this.dispatchScroll_(offsetX, offsetY);
+  }
 
   if (!opt_doNotAnimateScrollBar) {
-    this.animateScrollBarTo(offsetY);
+    if (this.scrollsVertically()) {
+      this.animateScrollBarTo(offsetY);
+    }
+    if (this.scrollsHorizontally()) {
+      this.animateScrollBarAxisTo_(true, offsetX);
+    }
   }
 }
 
@@ -873,37 +5449,67 @@ rflect.ui.MomentumScroller.prototype.animateTo = function(offsetY,
  * @param {number} offsetY Where to move.
  */
 rflect.ui.MomentumScroller.prototype.animateScrollBarTo = function(offsetY) {
-  const lowestContentPosition = this.getLowestContentPosition();
-  let offsetYWithinBounds = offsetY;
-  if (offsetY > 0) {
-    offsetYWithinBounds = 0;
-  }
-  else if (offsetY < lowestContentPosition) {
-    offsetYWithinBounds = lowestContentPosition;
+  this.animateScrollBarAxisTo_(false, offsetY);
+}
+
+
+/**
+ * Moves scrollbar of given axis so that it reflects content offset. When
+ * content is out of bounds, scrollbar line is shortened.
+ * @param {boolean} aHorizontal Whether to move horizontal scrollbar.
+ * @param {number} aOffset Content offset along axis.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.animateScrollBarAxisTo_ = function(
+    aHorizontal, aOffset) {
+  const offsetWithinBounds = this.getPositionWithinBounds_(aHorizontal,
+      aOffset);
+  const lineLength = this.getScrollBarLineLength_(aHorizontal);
+  const deltaOutOfBounds = Math.abs(aOffset - offsetWithinBounds);
+  const scrollBarLineReduced = lineLength - deltaOutOfBounds;
+  const minLength = this.getNumberOption_('scrollBarMinLength');
+  const scrollBarLineReducedBounded = scrollBarLineReduced < minLength ?
+      minLength : scrollBarLineReduced;
+
+  let position;
+  if (aOffset > offsetWithinBounds) {
+    position = scrollBarLineReducedBounded / 2;
+  } else if (aOffset < offsetWithinBounds) {
+    position = this.getFrameLength_(aHorizontal) -
+        scrollBarLineReducedBounded / 2;
+  } else {
+    position = -(offsetWithinBounds / this.getSizeRatio(aHorizontal) -
+        lineLength / 2);
   }
-  const deltaOutOfBounds = Math.abs(offsetY - offsetYWithinBounds);
-  const scrollBarLineReduced = this.getScrollBarLineHeight() - deltaOutOfBounds;
-  const scrollBarLineReducedBounded = scrollBarLineReduced <
-      rflect.ui.MomentumScroller.SCROLLBAR_MIN_HEIGHT ?
-      rflect.ui.MomentumScroller.SCROLLBAR_MIN_HEIGHT : scrollBarLineReduced;
 
-  if (offsetY > 0) {
-    rflect.browser.css.setTransform(this.getScrollBarContainer(),
-        `translate3d(0, ${scrollBarLineReducedBounded / 2}px, 0)`);
-  } else if (offsetY < lowestContentPosition) {
-    rflect.browser.css.setTransform(this.getScrollBarContainer(),
-        `translate3d(0, ${(this.frameElementSize.height -
-            scrollBarLineReducedBounded / 2)}px, 0)`);
+  // Line is scaled around its center, so caps are moved to its ends, and
+  // container is shifted by cap placed before line.
+  const capLength = this.getBooleanOption_('scrollBarRoundedCaps') ?
+      this.getNumberOption_('scrollBarThickness') : 0;
+  const lineScale = Math.max(0, scrollBarLineReducedBounded - 2 * capLength);
+  const capShift = lineScale / 2 - .5;
+  const caps = this.getScrollBarCaps_();
+  const [startCap, endCap] = aHorizontal ? caps.slice(2) : caps;
+
+  if (aHorizontal) {
+    rflect.browser.css.setTransform(this.getHorizontalScrollBarContainer(),
+        `translate3d(${position - capLength}px, 0, 0)`);
+    rflect.browser.css.setTransform(this.getHorizontalScrollBarLine(),
+        `scaleX(${lineScale})`);
+    rflect.browser.css.setTransform(startCap,
+        `translate3d(${-capShift}px, 0, 0)`);
+    rflect.browser.css.setTransform(endCap,
+        `translate3d(${capShift}px, 0, 0)`);
   } else {
     rflect.browser.css.setTransform(this.getScrollBarContainer(),
-        `translate3d(0, ${
-        -(offsetYWithinBounds / this.getSizeRatio() -
-        this.getScrollBarLineHeight() / 2)
-        }px, 0)`);
+        `translate3d(0, ${position - capLength}px, 0)`);
+    rflect.browser.css.setTransform(this.getScrollBarLine(),
+        `scaleY(${lineScale})`);
+    rflect.browser.css.setTransform(startCap,
+        `translate3d(0, ${-capShift}px, 0)`);
+    rflect.browser.css.setTransform(endCap,
+        `translate3d(0, ${capShift}px, 0)`);
   }
-
-  rflect.browser.css.setTransform(this.getScrollBarLine(),
-      `scaleY(${scrollBarLineReducedBounded})`);
 }
 
 
@@ -913,14 +5519,40 @@ rflect.ui.MomentumScroller.prototype.animateScrollBarTo = function(offsetY) {
  * @param {number} aOffsetY Offset which must be applied to content.
  */
 rflect.ui.MomentumScroller.prototype.animateWithinBounds = function(aOffsetY) {
-  var lowestContentPosition = this.getLowestContentPosition();
-  var offsetY = aOffsetY;
-  if (offsetY > 0)
-    offsetY = 0;
-  else if (offsetY < lowestContentPosition)
-    offsetY = lowestContentPosition;
-  
-  this.animateTo(offsetY);
+  this.animateWithinBoundsXY(this.contentOffsetX, aOffsetY);
+}
+
+
+/**
+ * Shifts content by given offsets relative to frame, but never outside of
+ * bounds.
+ * @param {number} aOffsetX Horizontal offset which must be applied to content.
+ * @param {number} aOffsetY Vertical offset which must be applied to content.
+ */
+rflect.ui.MomentumScroller.prototype.animateWithinBoundsXY = function(aOffsetX,
+    aOffsetY) {
+  this.animateToXY(this.getPositionWithinBounds_(true, aOffsetX),
+      this.getPositionWithinBounds_(false, aOffsetY));
+}
+
+
+/**
+ * @param {boolean} aHorizontal Whether position is horizontal.
+ * @param {number} aPosition Position to bring within bounds.
+ * @return {number} Closest position which is within bounds.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.getPositionWithinBounds_ = function(
+    aHorizontal, aPosition) {
+  const lowestContentPosition = aHorizontal ?
+      this.getLeftmostContentPosition() : this.getLowestContentPosition();
+  const highestContentPosition = aHorizontal ? 0 :
+      this.getHighestContentPosition();
+  if (aPosition > highestContentPosition)
+    return highestContentPosition;
+  if (aPosition < lowestContentPosition)
+    return lowestContentPosition;
+  return aPosition;
 }
 
 
@@ -929,29 +5561,30 @@ rflect.ui.MomentumScroller.prototype.animateWithinBounds = function(aOffsetY) {
 // relative to the frame. If the content is outside of the boundaries
 // then simply reposition it to be just within the appropriate boundary.
 rflect.ui.MomentumScroller.prototype.snapToBounds = function() {
-  const transition = rflect.browser.css.getSelectorCasedProperty('transform') +
-    ' ' + 500 + 'ms ease-out';
-  this.setTransitionAll(transition);
-
-  // Different out of bounds cases:
-  // 1. If content is lower than frame upper border
-  if (this.contentOffsetY > 0) {
-    this.contentOffsetY = 0;
-    rflect.browser.css.setTransform(this.getScrollBarContainer(),
-        `translate3d(0, ${(this.getScrollBarLineHeight() / 2)}px, 0)`);
-  }
-  else {
-  // 2. If content is higher that frame lower border.
-    this.contentOffsetY = this.getLowestContentPosition();
-    rflect.browser.css.setTransform(this.getScrollBarContainer(),
-        `translate3d(0, ${this.frameElementSize.height -
-        this.getScrollBarLineHeight() / 2}px, 0)`);
+  const edge = this.getOutOfBoundsEdge_();
+  // After bounce of momentum, event was already dispatched.
+  if (edge && this.queuedTransitionStage_ !=
+      rflect.ui.MomentumScroller.QUEUED_TRANSITION_STAGE.BOUNCED_OUT) {
+    this.dispatch_(rflect.ui.MomentumScroller.EventType.BOUNCE,
+        this.contentOffsetX, this.contentOffsetY, 0, 0, edge);
   }
 
-  rflect.browser.css.setTransform(this.element,
-      `translate3d(0, ${this.contentOffsetY}px, 0)`);
-  rflect.browser.css.setTransform(this.getScrollBarLine(),
-      `scaleY(${this.getScrollBarLineHeight()})`);
+  // Different out of bounds cases, for each axis:
+  // 1. If content is lower than frame upper border, it's moved to 0.
+  // 2. If content is higher that frame lower border, it's moved to the lowest
+  // position.
+  // With snap points, content then goes to the nearest one.
+  const offsetX = this.getSnapPosition_(true,
+      this.getPositionWithinBounds_(true, this.contentOffsetX), 0);
+  const offsetY = this.getSnapPosition_(false,
+      this.getPositionWithinBounds_(false, this.contentOffsetY), 0);
+  if (offsetX == this.contentOffsetX && offsetY == this.contentOffsetY) {
+    // There will be no transition to wait for.
+    this.finishScrolling_();
+    return;
+  }
+  this.beginScrolling_();
+  this.transitionTo_(offsetX, offsetY, 500, 'ease-out');
 
   this.isDecelerating_ = true;
 }
@@ -962,11 +5595,18 @@ rflect.ui.MomentumScroller.prototype.snapToBounds = function() {
  */
 rflect.ui.MomentumScroller.prototype.showScrollBar = function(aShow) {
   clearTimeout(this.scrollBarShowTimeout_);
-  if (!aShow) {
-    rflect.browser.css.setTransition(this.getScrollBarContainer(),
-        rflect.ui.MomentumScroller.SCROLLBAR_HIDE_TRANSITION);
-  }
-  this.getScrollBarContainer().style.opacity = aShow ? '1' : '0';
+  // Interactive scrollbar stays while it's hovered or dragged.
+  if (!aShow && (this.scrollBarHovered_ || this.thumbDragging_ ||
+      this.getBooleanOption_('scrollBarAlwaysVisible')))
+    return;
+  [this.getScrollBarContainer(), this.getHorizontalScrollBarContainer()].
+      forEach((container) => {
+    if (!aShow) {
+      rflect.browser.css.setTransition(container,
+          this.getStringOption_('scrollBarHideTransition'));
+    }
+    container.style.opacity = aShow ? '1' : '0';
+  });
 }
 
 
@@ -977,7 +5617,7 @@ rflect.ui.MomentumScroller.prototype.showScrollBarDelayed = function(aShow) {
   clearTimeout(this.scrollBarShowTimeout_);
   this.scrollBarShowTimeout_ = setTimeout(() => {
     this.showScrollBar(aShow)
-  }, rflect.ui.MomentumScroller.SCROLLBAR_HIDE_DELAY);
+  }, this.getNumberOption_('scrollBarHideDelay'));
 }
 
 
@@ -985,17 +5625,31 @@ rflect.ui.MomentumScroller.prototype.showScrollBarDelayed = function(aShow) {
  * @return {boolean} Whether content element is out of frame's bounds.
  */
 rflect.ui.MomentumScroller.prototype.isOutOfBounds = function() {
-  return this.positionIsOutOfBounds(this.contentOffsetY);
+  return this.positionIsOutOfBounds(this.contentOffsetY) ||
+      this.positionIsOutOfBounds(this.contentOffsetX, true);
 }
 
 
 /**
  * @param {number} aPosition Position to test.
+ * @param {boolean=} opt_horizontal Whether position is horizontal.
  * @return {boolean} Whether content element is out of frame's bounds.
  */
 rflect.ui.MomentumScroller.prototype.positionIsOutOfBounds = function(
-    aPosition) {
-  return aPosition > 0 || aPosition < this.getLowestContentPosition();
+    aPosition, opt_horizontal) {
+  return aPosition > (opt_horizontal ? 0 : this.getHighestContentPosition()) ||
+      aPosition < (opt_horizontal ? this.getLeftmostContentPosition() :
+      this.getLowestContentPosition());
+}
+
+
+/**
+ * @return {number} Highest position, above 0 while content is held during
+ * refresh.
+ */
+rflect.ui.MomentumScroller.prototype.getHighestContentPosition = function() {
+  return this.refreshing_ && this.scrollsVertically() ?
+      this.pullIndicatorHeight_ : 0;
 }
 
 
@@ -1003,7 +5657,19 @@ rflect.ui.MomentumScroller.prototype.positionIsOutOfBounds = function(
  * @return {number} Lowest position.
  */
 rflect.ui.MomentumScroller.prototype.getLowestContentPosition = function() {
-  return -this.elementSize.height + this.frameElementSize.height;
+  if (!this.scrollsVertically())
+    return 0;
+  return -this.elementSize.height * this.zoom_ + this.frameElementSize.height;
+}
+
+
+/**
+ * @return {number} Leftmost position.
+ */
+rflect.ui.MomentumScroller.prototype.getLeftmostContentPosition = function() {
+  if (!this.scrollsHorizontally())
+    return 0;
+  return -this.elementSize.width * this.zoom_ + this.frameElementSize.width;
 }
 
 
@@ -1011,8 +5677,18 @@ rflect.ui.MomentumScroller.prototype.getLowestContentPosition = function() {
  * @return {boolean} Whether we're dragging.
  */
 rflect.ui.MomentumScroller.prototype.isDragging = function() {
-  return this.isDragging_ || (this.isDragging_ = (Math.abs(this.currentPoint_ -
-      this.startTouchY) >= rflect.ui.MomentumScroller.DRAG_THRESHOLD));
+  return this.isDragging_ || (this.isDragging_ = (this.getDragDistance_() >=
+      this.getNumberOption_('dragThreshold')));
+}
+
+
+/**
+ * @return {number} How far finger went from start point along any axis.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.getDragDistance_ = function() {
+  return Math.max(Math.abs(this.currentPoint_ - this.startTouchY),
+      Math.abs(this.currentPointX_ - this.startTouchX));
 }
 
 
@@ -1047,8 +5723,8 @@ rflect.ui.MomentumScroller.prototype.getEndMomentumVelocity = function(
  * @return {number} Acceleration.
  */
 rflect.ui.MomentumScroller.prototype.getAcceleration = function(aVelocity) {
-  return aVelocity < 0 ? rflect.ui.MomentumScroller.ACCELERATION_SLIDING :
-      -rflect.ui.MomentumScroller.ACCELERATION_SLIDING;
+  const acceleration = this.getNumberOption_('accelerationSliding');
+  return aVelocity < 0 ? acceleration : -acceleration;
 }
 
 
@@ -1064,45 +5740,104 @@ rflect.ui.MomentumScroller.prototype.getTime = function(aVelocity,
 }
 
 
-rflect.ui.MomentumScroller.prototype.doMomentum = function() {
+/**
+ * Starts momentum with velocity of finger, or with given one.
+ * @param {number=} opt_velocityX Horizontal velocity, px/ms.
+ * @param {number=} opt_velocityY Vertical velocity, px/ms.
+ */
+rflect.ui.MomentumScroller.prototype.doMomentum = function(opt_velocityX,
+    opt_velocityY) {
   // Calculate the movement properties. Implement getEndVelocity using the
   // start and end position / time.
-  var velocity = this.getEndVelocity();
+  var velocity = goog.isDef(opt_velocityY) ? opt_velocityY :
+      this.getAxisVelocity_(false);
+  var velocityX = goog.isDef(opt_velocityX) ? opt_velocityX :
+      this.getAxisVelocity_(true);
+  this.momentumVelocity_ = velocity;
+  this.momentumVelocityX_ = velocityX;
   if (goog.DEBUG)
     console.log('velocity',velocity);
-  if (velocity != 0) {
-    var acceleration = this.getAcceleration(velocity);
-    var displacement = - (velocity * velocity) / (2 * acceleration);
-    var time = - velocity / acceleration;
+  if (velocity != 0 || velocityX != 0) {
+    // Content decelerates along direction of its motion, so both axes share
+    // the same time.
+    var speed = Math.sqrt(velocity * velocity + velocityX * velocityX);
+    var time = this.getTime(speed,
+        -this.getNumberOption_('accelerationSliding'));
+
+    var newY = this.contentOffsetY + velocity * time / 2;
+    var newX = this.contentOffsetX + velocityX * time / 2;
+
+    // Replanned momentum continues, so there's no new start.
+    if (!this.momentumActive_) {
+      this.momentumActive_ = true;
+      this.dispatch_(rflect.ui.MomentumScroller.EventType.MOMENTUM_START,
+          this.contentOffsetX, this.contentOffsetY, -velocityX, -velocity);
+    }
+
+    if (this.snaps_()) {
+      // Content comes to rest at snap point in direction of fling, which
+      // is always within bounds.
+      newY = this.getSnapPosition_(false, newY, velocity);
+      newX = this.getSnapPosition_(true, newX, velocityX);
+      var distance = Math.sqrt(Math.pow(newY - this.contentOffsetY, 2) +
+          Math.pow(newX - this.contentOffsetX, 2));
+      time = Math.min(2 * distance / speed,
+          rflect.ui.MomentumScroller.SNAP_MAX_DURATION);
+    }
+
+    this.momentumStartTime_ = goog.now();
+    this.momentumDuration_ = time;
+
+    const outOfBounds = this.positionIsOutOfBounds(newY) ||
+        this.positionIsOutOfBounds(newX, true);
+    if (this.usesAnimationFrames_() && !this.snaps_()) {
 
-    var newY = this.contentOffsetY + displacement;
+      this.runMomentumFrames_(velocityX, velocity);
 
-    if (this.positionIsOutOfBounds(newY)) {
+    } else if (outOfBounds && this.bounces_()) {
 
       this.setUpTransitionStage1();
 
     } else {
 
+      // Without bounce, content just stops at the edge. Glow shows how fast
+      // it hits it.
+      const boundY = this.getPositionWithinBounds_(false, newY);
+      const boundX = this.getPositionWithinBounds_(true, newX);
+      const endVelocityY = boundY == newY ? 0 : this.getVelocityAtBound_(
+          velocity, speed, boundY - this.contentOffsetY);
+      const endVelocityX = boundX == newX ? 0 : this.getVelocityAtBound_(
+          velocityX, speed, boundX - this.contentOffsetX);
+      // Glows are lit when the first axis hits bound.
+      let hitTime = Infinity;
+      if (endVelocityX) {
+        hitTime = this.getTimeToBound_(velocityX, speed, endVelocityX);
+      }
+      if (endVelocityY) {
+        hitTime = Math.min(hitTime,
+            this.getTimeToBound_(velocity, speed, endVelocityY));
+      }
+      this.absorbEdgeGlows_(endVelocityX, endVelocityY, hitTime);
+      newY = boundY;
+      newX = boundX;
+      if (newY == this.contentOffsetY && newX == this.contentOffsetX) {
+        // Already at the edge, there will be no transition to wait for.
+        this.finishScrolling_();
+        return;
+      }
+
       // Set up the transition and execute the transform. Once you implement this
       // you will need to figure out an appropriate time to clear the transition
       // so that it doesn’t apply to subsequent scrolling.
-      let transition =
-          rflect.browser.css.getSelectorCasedProperty('transform') + ' ' +
-          time + 'ms cubic-bezier(0.33, 0.66, 0.66, 1)';
-
-      rflect.browser.css.setTransition(this.element, transition);
-      rflect.browser.css.setTransition(this.getScrollBarContainer(), transition);
-      this.contentOffsetY = newY;
-      rflect.browser.css.setTransform(this.element,
-          `translate3d(0, ${newY}px, 0)`);
-      rflect.browser.css.setTransform(this.getScrollBarContainer(),
-          `translate3d(0, ${-(newY / this.getSizeRatio() -
-          this.getScrollBarLineHeight() / 2)}px, 0)`);
+      this.transitionTo_(newX, newY, time, 'cubic-bezier(0.33, 0.66, 0.66, 1)');
     }
 
     this.isDecelerating_ = true;
+  } else if (this.snaps_()) {
+    // Content released without velocity still comes to nearest snap point.
+    this.snapToBounds();
   } else {
-    this.showScrollBarDelayed(false);
+    this.finishScrolling_();
   }
 }
 
@@ -1110,47 +5845,51 @@ rflect.ui.MomentumScroller.prototype.doMomentum = function() {
 rflect.ui.MomentumScroller.prototype.setUpTransitionStage1 = function() {
   if (goog.DEBUG)
   console.log('stage1');
-  var velocity = this.getEndVelocity();
-  var acceleration = this.getAcceleration(velocity);
-  var displacement;
-
-  if (velocity > 0) {
-    displacement = -this.contentOffsetY;
-    this.contentOffsetY = 0;
-  } else {
-    displacement = this.getLowestContentPosition() - this.contentOffsetY;
-    this.contentOffsetY = this.getLowestContentPosition();
+  var velocity = this.momentumVelocity_;
+  var velocityX = this.momentumVelocityX_;
+  var speed = Math.sqrt(velocity * velocity + velocityX * velocityX);
+  var momentumTime = this.getTime(speed,
+      -this.getNumberOption_('accelerationSliding'));
+  var newY = this.contentOffsetY + velocity * momentumTime / 2;
+  var newX = this.contentOffsetX + velocityX * momentumTime / 2;
+
+  // Axes which would leave bounds are stopped at bound, keeping velocity
+  // with which content reaches it.
+  this.endMomentumVelocity_ = 0;
+  this.endMomentumVelocityX_ = 0;
+  if (this.positionIsOutOfBounds(newY)) {
+    newY = this.getPositionWithinBounds_(false, newY);
+    this.endMomentumVelocity_ = this.getVelocityAtBound_(velocity, speed,
+        newY - this.contentOffsetY);
+  }
+  if (this.positionIsOutOfBounds(newX, true)) {
+    newX = this.getPositionWithinBounds_(true, newX);
+    this.endMomentumVelocityX_ = this.getVelocityAtBound_(velocityX, speed,
+        newX - this.contentOffsetX);
   }
   if (goog.DEBUG)
-  console.log('displacement',displacement);
+  console.log('displacement', newY - this.contentOffsetY);
 
-  this.endMomentumVelocity_ = (velocity < 0 ? -1 : 1) *
-      this.getEndMomentumVelocity(velocity, displacement, acceleration);
   if (goog.DEBUG)
     console.log('this.endMomentumVelocity_', this.endMomentumVelocity_);
-  var time = /*Math.abs((velocity - this.endMomentumVelocity_) / acceleration)*/7000;
+  // Transition lasts until the first axis which leaves bounds reaches bound.
+  var time = Math.max(
+      this.getTimeToBound_(velocity, speed, this.endMomentumVelocity_),
+      this.getTimeToBound_(velocityX, speed, this.endMomentumVelocityX_));
 
   //This is an y delta to flatten bezier function towards linear one if end
   // velocity is non-zero. In corner case, when velocity didn't slow at all,
   // bezier curve becomes linear.
-  var valueToLowerCubicBezierWith = Math.abs(this.endMomentumVelocity_ /
-      velocity) * .33;
+  var valueToLowerCubicBezierWith = Math.max(
+      velocity ? Math.abs(this.endMomentumVelocity_ / velocity) : 0,
+      velocityX ? Math.abs(this.endMomentumVelocityX_ / velocityX) : 0) * .33;
 
-  let transition =
-      rflect.browser.css.getSelectorCasedProperty('transform') + ' ' + time +
-      'ms cubic-bezier(.33,' +
+  const timingFunction = 'cubic-bezier(.33,' +
       (.66 - valueToLowerCubicBezierWith) +
       ',.66,' +
       (1 - valueToLowerCubicBezierWith) +
-      ')'
-  rflect.browser.css.setTransition(this.element, transition);
-  rflect.browser.css.setTransform(this.element,
-      `translate3d(0, ${this.contentOffsetY}px, 0)`);
-
-  rflect.browser.css.setTransition(this.getScrollBarContainer(), transition);
-  rflect.browser.css.setTransform(this.getScrollBarContainer(),
-      `translate3d(0, ${-(this.contentOffsetY / this.getSizeRatio() -
-      this.getScrollBarLineHeight() / 2)}px, 0)`);
+      ')';
+  this.transitionTo_(newX, newY, time, timingFunction);
 
 
   if (rflect.ui.MomentumScroller.COLOR_DEBUG && goog.DEBUG) {
@@ -1167,54 +5906,90 @@ rflect.ui.MomentumScroller.prototype.setUpTransitionStage2 = function() {
   if (goog.DEBUG)
   console.log('stage2');
   var velocity = this.endMomentumVelocity_;
-  var acceleration = this.getAcceleration(velocity) *
-      rflect.ui.MomentumScroller.ACCELERATION_BOUNCE_BACK_COEFF;
-  var displacement = - (velocity * velocity) / (2 * acceleration);
+  var velocityX = this.endMomentumVelocityX_;
   var time = 100;
 
   if (goog.DEBUG)
     console.log('velocity',velocity);
 
-  if (displacement > rflect.ui.MomentumScroller.OUT_OF_BOUNDS_MAXIMUM)
-    displacement = rflect.ui.MomentumScroller.OUT_OF_BOUNDS_MAXIMUM;
-  if (displacement < -rflect.ui.MomentumScroller.OUT_OF_BOUNDS_MAXIMUM)
-    displacement = -rflect.ui.MomentumScroller.OUT_OF_BOUNDS_MAXIMUM;
-
-  if (velocity > 0) {
-    var newY = displacement;
-  } else {
-    var newY = this.contentOffsetY + displacement;
-  }
+  var newY = this.contentOffsetY + this.getBounceDisplacement_(velocity);
+  var newX = this.contentOffsetX + this.getBounceDisplacement_(velocityX);
 
-  this.contentOffsetY = newY;
+  const edge = velocity > 0 ? rflect.ui.MomentumScroller.Edge.TOP :
+      velocity < 0 ? rflect.ui.MomentumScroller.Edge.BOTTOM :
+      velocityX > 0 ? rflect.ui.MomentumScroller.Edge.LEFT :
+      rflect.ui.MomentumScroller.Edge.RIGHT;
+  this.dispatch_(rflect.ui.MomentumScroller.EventType.BOUNCE,
+      this.contentOffsetX, this.contentOffsetY, -velocityX, -velocity, edge);
 
-  let transition = rflect.browser.css.getSelectorCasedProperty('transform') +
-      ' ' + time + 'ms cubic-bezier(0.33, 0.66, 0.66, 1)';
-  rflect.browser.css.setTransition(this.element, transition);
-  rflect.browser.css.setTransform(this.element,
-      `translate3d(0, ${newY}px, 0)`);
-  let scrollBarLineReduced = this.getScrollBarLineHeight() - Math.abs(displacement);
-  rflect.browser.css.setTransition(this.getScrollBarContainer(), transition);
-  rflect.browser.css.setTransition(this.getScrollBarLine(), transition);
-  rflect.browser.css.setTransform(this.getScrollBarLine(),
-      `scaleY(${scrollBarLineReduced})`);
-  if (velocity > 0) {
-    rflect.browser.css.setTransform(this.getScrollBarContainer(),
-        `translate3d(0, ${scrollBarLineReduced / 2}px, 0)`);
-  } else {
-    rflect.browser.css.setTransform(this.getScrollBarContainer(),
-        `translate3d(0, ${(this.frameElementSize.height - scrollBarLineReduced /
-         2)}px, 0)`);
-  }
+  this.transitionTo_(newX, newY, time, 'cubic-bezier(0.33, 0.66, 0.66, 1)');
 
   if (rflect.ui.MomentumScroller.COLOR_DEBUG && goog.DEBUG) {
     goog.dom.classlist.add(this.element, 'red');
     goog.dom.classlist.removeAll(this.element, ['blue', 'green']);
   }
 
-  this.queuedTransitionStage_ =
-      rflect.ui.MomentumScroller.QUEUED_TRANSITION_STAGE.BOUNCED_OUT;
+  this.queuedTransitionStage_ =
+      rflect.ui.MomentumScroller.QUEUED_TRANSITION_STAGE.BOUNCED_OUT;
+
+}
+
+
+/**
+ * @param {number} aVelocity Velocity along axis at the moment of release.
+ * @param {number} aSpeed Overall speed at the moment of release.
+ * @param {number} aDisplacement Distance to bound along axis.
+ * @return {number} Velocity along axis with which content reaches bound.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.getVelocityAtBound_ = function(aVelocity,
+    aSpeed, aDisplacement) {
+  // Axis gets share of deceleration proportional to its share of velocity.
+  var acceleration = this.getAcceleration(aVelocity) * Math.abs(aVelocity) /
+      aSpeed;
+  return (aVelocity < 0 ? -1 : 1) *
+      this.getEndMomentumVelocity(aVelocity, aDisplacement, acceleration);
+}
+
+
+/**
+ * @param {number} aVelocity Velocity along axis at the moment of release.
+ * @param {number} aSpeed Overall speed at the moment of release.
+ * @param {number} aEndVelocity Velocity along axis with which content
+ * reaches bound, 0 if it stops within bounds.
+ * @return {number} Time in which content reaches bound along axis, 0 if it
+ * stops within bounds.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.getTimeToBound_ = function(aVelocity,
+    aSpeed, aEndVelocity) {
+  if (aEndVelocity == 0)
+    return 0;
+  // Speed decreases along direction of motion, so axes keep their shares.
+  var endSpeed = aSpeed * Math.abs(aEndVelocity / aVelocity);
+  return (aSpeed - endSpeed) / this.getNumberOption_('accelerationSliding');
+}
+
 
+/**
+ * @param {number} aVelocity Velocity with which content reaches bound.
+ * @return {number} How far content goes out of bounds before bouncing back.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.getBounceDisplacement_ = function(
+    aVelocity) {
+  if (aVelocity == 0)
+    return 0;
+  var acceleration = this.getAcceleration(aVelocity) *
+      this.getNumberOption_('accelerationBounceBackCoeff');
+  var displacement = - (aVelocity * aVelocity) / (2 * acceleration);
+  var outOfBoundsMaximum = this.getNumberOption_('outOfBoundsMaximum');
+
+  if (displacement > outOfBoundsMaximum)
+    displacement = outOfBoundsMaximum;
+  if (displacement < -outOfBoundsMaximum)
+    displacement = -outOfBoundsMaximum;
+  return displacement;
 }
 
 
@@ -1229,6 +6004,181 @@ rflect.ui.MomentumScroller.prototype.setUpTransitionStage3 = function() {
 }
 
 
+/**
+ * @return {boolean} Whether content is animated on animation frames.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.usesAnimationFrames_ = function() {
+  return this.getStringOption_('engine') ==
+      rflect.ui.MomentumScroller.Engine.ANIMATION_FRAME;
+}
+
+
+/**
+ * Moves content to position during given time, with CSS transition or on
+ * animation frames depending on engine. <code>onMovementEnd_</code> is called
+ * when content gets there.
+ * @param {number} aOffsetX Horizontal position to move to.
+ * @param {number} aOffsetY Vertical position to move to.
+ * @param {number} aDuration Duration of movement, in ms.
+ * @param {string} aTimingFunction CSS timing function of movement.
+ * @param {number=} opt_zoom Zoom to animate to, current one by default.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.transitionTo_ = function(aOffsetX,
+    aOffsetY, aDuration, aTimingFunction, opt_zoom) {
+  const startZoom = this.zoom_;
+  const zoom = goog.isDef(opt_zoom) ? opt_zoom : startZoom;
+  if (!this.usesAnimationFrames_()) {
+    this.setTransitionAll(
+        rflect.browser.css.getSelectorCasedProperty('transform') + ' ' +
+        aDuration + 'ms ' + aTimingFunction);
+    this.zoom_ = zoom;
+    this.animateToXY(aOffsetX, aOffsetY);
+    return;
+  }
+
+  const startX = this.contentOffsetX;
+  const startY = this.contentOffsetY;
+  const easing = rflect.ui.MomentumScroller.getEasing_(aTimingFunction);
+  let elapsed = 0;
+  this.runFrames_((aDelta) => {
+    elapsed += aDelta;
+    const progress = aDuration > 0 ? Math.min(1, elapsed / aDuration) : 1;
+    const eased = progress < 1 ? easing(progress) : 1;
+    this.zoom_ = startZoom + (zoom - startZoom) * eased;
+    this.animateToXY(startX + (aOffsetX - startX) * eased,
+        startY + (aOffsetY - startY) * eased);
+    if (progress < 1)
+      return true;
+    this.onMovementEnd_();
+    return false;
+  });
+}
+
+
+/**
+ * Calls step on each animation frame while it returns true.
+ * @param {function(number): boolean} aStep Step, receives time since previous
+ * frame in ms.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.runFrames_ = function(aStep) {
+  this.stopFrames_();
+  let previousMoment = goog.now();
+  const frame = () => {
+    const now = goog.now();
+    const delta = Math.min(now - previousMoment,
+        rflect.ui.MomentumScroller.MAX_FRAME_DURATION);
+    previousMoment = now;
+    // Step may start another animation, which then owns frame id.
+    this.frameId_ = 0;
+    if (aStep(delta)) {
+      this.frameId_ = requestAnimationFrame(frame);
+    }
+  };
+  this.frameId_ = requestAnimationFrame(frame);
+}
+
+
+/**
+ * Cancels animation on animation frames, leaving content where it is.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.stopFrames_ = function() {
+  if (this.frameId_) {
+    cancelAnimationFrame(this.frameId_);
+    this.frameId_ = 0;
+  }
+}
+
+
+/**
+ * Runs momentum on animation frames. Content decelerates along direction of
+ * its motion; past bound it decelerates faster and then springs back.
+ * @param {number} aVelocityX Horizontal velocity, px/ms.
+ * @param {number} aVelocityY Vertical velocity, px/ms.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.runMomentumFrames_ = function(
+    aVelocityX, aVelocityY) {
+  const acceleration = this.getNumberOption_('accelerationSliding');
+  const bounceAcceleration = acceleration *
+      this.getNumberOption_('accelerationBounceBackCoeff');
+  const outOfBoundsMaximum = this.getNumberOption_('outOfBoundsMaximum');
+  // Per axis, horizontal first.
+  const velocities = [aVelocityX, aVelocityY];
+  const bounced = [false, false];
+
+  this.runFrames_((aDelta) => {
+    const speed = Math.sqrt(velocities[0] * velocities[0] +
+        velocities[1] * velocities[1]);
+    const slowdown = speed > 0 ?
+        Math.max(0, speed - acceleration * aDelta) / speed : 0;
+    const positions = [this.contentOffsetX, this.contentOffsetY];
+    let moving = false;
+
+    for (let i = 0; i < 2; i++) {
+      const horizontal = i == 0;
+      let position = positions[i];
+      let velocity = velocities[i];
+      const bound = this.getPositionWithinBounds_(horizontal, position);
+
+      if (position != bound) {
+        if ((position - bound) * velocity > 0) {
+          velocity -= rflect.math.sign(velocity) *
+              Math.min(Math.abs(velocity), bounceAcceleration * aDelta);
+          position += velocity * aDelta;
+          if (Math.abs(position - bound) > outOfBoundsMaximum) {
+            position = bound + rflect.math.sign(position - bound) *
+                outOfBoundsMaximum;
+            velocity = 0;
+          }
+        } else {
+          velocity = 0;
+          position = bound + (position - bound) * Math.exp(-aDelta /
+              rflect.ui.MomentumScroller.BOUNCE_BACK_TIME_CONSTANT);
+          if (Math.abs(position - bound) < .5)
+            position = bound;
+        }
+      } else {
+        velocity *= slowdown;
+        position += velocity * aDelta;
+        const newBound = this.getPositionWithinBounds_(horizontal, position);
+        if (newBound != position) {
+          if (!this.bounces_()) {
+            this.absorbEdgeGlows_(horizontal ? velocity : 0,
+                horizontal ? 0 : velocity);
+            position = newBound;
+            velocity = 0;
+          } else if (!bounced[i]) {
+            bounced[i] = true;
+            this.dispatch_(rflect.ui.MomentumScroller.EventType.BOUNCE,
+                this.contentOffsetX, this.contentOffsetY, -velocities[0],
+                -velocities[1], horizontal ?
+                (position > newBound ? rflect.ui.MomentumScroller.Edge.LEFT :
+                rflect.ui.MomentumScroller.Edge.RIGHT) :
+                (position > newBound ? rflect.ui.MomentumScroller.Edge.TOP :
+                rflect.ui.MomentumScroller.Edge.BOTTOM));
+          }
+        }
+      }
+
+      positions[i] = position;
+      velocities[i] = velocity;
+      moving = moving || velocity != 0 ||
+          position != this.getPositionWithinBounds_(horizontal, position);
+    }
+
+    this.animateToXY(positions[0], positions[1]);
+    if (moving)
+      return true;
+    this.onMovementEnd_();
+    return false;
+  });
+}
+
+
 /**
  * @param {Element} aElement Element to get CSS matrix for.
  * @return {CSSMatrix} CSS matrix.
@@ -1243,6 +6193,33 @@ rflect.ui.MomentumScroller.prototype.getMatrixForElement = function(aElement) {
 }
 
 
+/**
+ * @param {string} aTransition CSS transition.
+ * @return {number} Time in which transition surely ends, sum of its durations
+ * and delays, ms.
+ * @private
+ */
+rflect.ui.MomentumScroller.getTransitionTime_ = function(aTransition) {
+  return (aTransition.match(/\d*\.?\d+m?s\b/g) || []).reduce(
+      (aSum, aTime) => aSum + parseFloat(aTime) *
+      (/ms$/.test(aTime) ? 1 : 1000), 0);
+}
+
+
+/**
+ * Goes on as if transitionend fired, when it didn't come in time.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.onTransitionTimeout_ = function() {
+  this.transitionTimeout_ = 0;
+  if (!this.transitioning_)
+    return;
+  if (goog.DEBUG)
+    console.log('transitionend is missing');
+  this.onMovementEnd_();
+}
+
+
 /***/
 rflect.ui.MomentumScroller.prototype.clearTransitionAll = function() {
   this.setTransitionAll('');
@@ -1253,27 +6230,75 @@ rflect.ui.MomentumScroller.prototype.clearTransitionAll = function() {
  * @param {string} aTransition
  */
 rflect.ui.MomentumScroller.prototype.setTransitionAll = function(aTransition) {
+  this.transitioning_ = !!aTransition;
+  clearTimeout(this.transitionTimeout_);
+  this.transitionTimeout_ = aTransition ? setTimeout(() => {
+    this.onTransitionTimeout_();
+  }, rflect.ui.MomentumScroller.getTransitionTime_(aTransition) +
+      rflect.ui.MomentumScroller.TRANSITION_END_TIMEOUT) : 0;
   rflect.browser.css.setTransition(this.element, aTransition);
   rflect.browser.css.setTransition(this.getScrollBarContainer(), aTransition);
   rflect.browser.css.setTransition(this.getScrollBarLine(), aTransition);
+  rflect.browser.css.setTransition(this.getHorizontalScrollBarContainer(),
+      aTransition);
+  rflect.browser.css.setTransition(this.getHorizontalScrollBarLine(),
+      aTransition);
+  this.getScrollBarCaps_().forEach((aCap) => {
+    rflect.browser.css.setTransition(aCap, aTransition);
+  });
+  if (this.pullIndicator_) {
+    rflect.browser.css.setTransition(this.pullIndicator_, aTransition);
+  }
 }
 
 
 rflect.ui.MomentumScroller.prototype.stopMomentum = function() {
-  if (this.isDecelerating()) {
+  if (this.isDecelerating() && this.frameId_) {
+    // Content is already where it's drawn.
+    this.stopFrames_();
+    this.queuedTransitionStage_ =
+        rflect.ui.MomentumScroller.QUEUED_TRANSITION_STAGE.NONE;
+
+    this.stopPropagationOnTouchEnd_ = true;
+
+  } else if (this.isDecelerating()) {
     let elementMatrix = this.getMatrixForElement(this.element);
-    let scrollBarContainerMatrix = this.getMatrixForElement(
-        this.getScrollBarContainer());
-    let scrollBarLineMatrix = this.getMatrixForElement(this.getScrollBarLine());
+    let scrollBarContainerMatrix = this.scrollsVertically() &&
+        this.getMatrixForElement(this.getScrollBarContainer());
+    let scrollBarLineMatrix = this.scrollsVertically() &&
+        this.getMatrixForElement(this.getScrollBarLine());
+    let horizontalScrollBarContainerMatrix = this.scrollsHorizontally() &&
+        this.getMatrixForElement(this.getHorizontalScrollBarContainer());
+    let horizontalScrollBarLineMatrix = this.scrollsHorizontally() &&
+        this.getMatrixForElement(this.getHorizontalScrollBarLine());
+    const caps = !this.getBooleanOption_('scrollBarRoundedCaps') ? [] :
+        (this.scrollsVertically() ? this.scrollBarCaps_ : []).concat(
+        this.scrollsHorizontally() ? this.horizontalScrollBarCaps_ : []);
+    const capMatrices = caps.map((aCap) => this.getMatrixForElement(aCap));
 
     // Clear the active transition so it doesn’t apply to our next transform.
     this.clearTransitionAll();
     // Set the element transform to where it is right now.
-    this.animateTo(elementMatrix.m42, true);
-    rflect.browser.css.setTransform(this.getScrollBarContainer(),
-        `translate3d(0, ${scrollBarContainerMatrix.m42}px, 0)`);
-    rflect.browser.css.setTransform(this.getScrollBarLine(),
-        `scaleY(${scrollBarLineMatrix.m22})`);
+    if (this.getBooleanOption_('zoom')) {
+      this.zoom_ = elementMatrix.m11;
+    }
+    this.animateToXY(elementMatrix.m41, elementMatrix.m42, true);
+    if (this.scrollsVertically()) {
+      rflect.browser.css.setTransform(this.getScrollBarContainer(),
+          `translate3d(0, ${scrollBarContainerMatrix.m42}px, 0)`);
+      rflect.browser.css.setTransform(this.getScrollBarLine(),
+          `scaleY(${scrollBarLineMatrix.m22})`);
+    }
+    if (this.scrollsHorizontally()) {
+      rflect.browser.css.setTransform(this.getHorizontalScrollBarContainer(),
+          `translate3d(${horizontalScrollBarContainerMatrix.m41}px, 0, 0)`);
+      rflect.browser.css.setTransform(this.getHorizontalScrollBarLine(),
+          `scaleX(${horizontalScrollBarLineMatrix.m11})`);
+    }
+    capMatrices.forEach((aMatrix, aIndex) => {
+      rflect.browser.css.setTransform(caps[aIndex],
+          `translate3d(${aMatrix.m41}px, ${aMatrix.m42}px, 0)`);
+    });
     this.queuedTransitionStage_ =
         rflect.ui.MomentumScroller.QUEUED_TRANSITION_STAGE.NONE;
 
@@ -1283,34 +6308,84 @@ rflect.ui.MomentumScroller.prototype.stopMomentum = function() {
     this.stopPropagationOnTouchEnd_ = false;
   }
   this.isDecelerating_ = false;
+  this.stepAnimating_ = false;
+  if (this.edgeGlowTimeout_) {
+    // Content won't hit bound, and lit glow fades right away.
+    clearTimeout(this.edgeGlowTimeout_);
+    this.edgeGlowTimeout_ = 0;
+    this.releaseEdgeGlows_();
+  }
+  if (this.momentumActive_) {
+    this.momentumActive_ = false;
+    this.dispatch_(rflect.ui.MomentumScroller.EventType.MOMENTUM_END,
+        this.contentOffsetX, this.contentOffsetY, 0, 0);
+  }
+  this.resolveScroll_(false);
 }
 
 
 /**
- * @return {number} v = (x1 - x0) / (t1 - t0)
+ * @return {number} Vertical velocity of drag at release, estimated from
+ * recent samples.
  */
 rflect.ui.MomentumScroller.prototype.getEndVelocity = function() {
-  var velocity = (this.currentPoint_ - this.previousPoint_) / (
-      this.currentMoment_ - this.previousMoment_);
-  if (goog.DEBUG)
-    console.log('previousMoment_: ', this.previousMoment_);
-  if (goog.DEBUG)
-        console.log('currentMoment_: ', this.currentMoment_);
-  if (goog.DEBUG)
-        console.log('velocity: ', velocity);
-  var velocitySign = rflect.math.sign(this.currentPoint_ - this.previousPoint_);
+  return this.capVelocity_(this.velocityTracker_.getVelocity(false,
+      goog.now()));
+}
+
+
+/**
+ * @return {number} Horizontal velocity of drag at release, estimated from
+ * recent samples.
+ */
+rflect.ui.MomentumScroller.prototype.getEndVelocityX = function() {
+  return this.capVelocity_(this.velocityTracker_.getVelocity(true,
+      goog.now()));
+}
+
+
+/**
+ * Sets function which estimates fling velocity from drag samples.
+ * @param {rflect.ui.VelocityTracker.Estimator} aEstimator Estimator, e.g.
+ * <code>rflect.ui.VelocityTracker.leastSquares</code>, which is default.
+ */
+rflect.ui.MomentumScroller.prototype.setVelocityEstimator = function(
+    aEstimator) {
+  this.velocityTracker_.setEstimator(aEstimator);
+}
+
+
+/**
+ * @param {boolean} aHorizontal Whether to get horizontal velocity.
+ * @return {number} End velocity along axis, or 0 if content isn't scrolled
+ * along it.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.getAxisVelocity_ = function(
+    aHorizontal) {
+  if (this.lockedAxis_ === !aHorizontal)
+    return 0;
+  if (aHorizontal)
+    return this.scrollsHorizontally() ? this.getEndVelocityX() : 0;
+  return this.scrollsVertically() ? this.getEndVelocity() : 0;
+}
+
+
+/**
+ * @param {number} aVelocity Velocity to cap.
+ * @return {number} Velocity capped by maximum velocity.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.capVelocity_ = function(aVelocity) {
   if (goog.DEBUG)
-    console.log('velocitySign: ', velocitySign);
-  var cappedVelocity = Math.abs(velocity) >
-      rflect.ui.MomentumScroller.MAXIMUM_VELOCITY ? velocitySign *
-      rflect.ui.MomentumScroller.MAXIMUM_VELOCITY :
-      velocity;
+        console.log('velocity: ', aVelocity);
+  var velocitySign = rflect.math.sign(aVelocity);
+  var maximumVelocity = this.getNumberOption_('maximumVelocity');
+  var cappedVelocity = Math.abs(aVelocity) > maximumVelocity ?
+      velocitySign * maximumVelocity : aVelocity;
   if (goog.DEBUG)
         console.log('cappedVelocity: ', cappedVelocity);
-  return isNaN(velocity) ? 0 : (Math.abs(velocity) >
-          rflect.ui.MomentumScroller.MAXIMUM_VELOCITY ? velocitySign *
-          rflect.ui.MomentumScroller.MAXIMUM_VELOCITY :
-          velocity);
+  return isNaN(aVelocity) ? 0 : cappedVelocity;
 }
 
 
@@ -1323,6 +6398,241 @@ rflect.ui.MomentumScroller.prototype.isDecelerating = function() {
 }
 
 
+/**
+ * @return {goog.events.EventTarget} Target on which scroll events are
+ * dispatched.
+ * @see {rflect.ui.MomentumScroller.EventType}
+ */
+rflect.ui.MomentumScroller.prototype.getEventTarget = function() {
+  return this.eventTarget_;
+}
+
+
+/**
+ * Subscribes plain JS listener to scroll events. Listener receives object
+ * with type, scrollLeft, scrollTop, velocityX, velocityY, directionX,
+ * directionY, edge, progress and index fields.
+ * @param {string} aType Event type.
+ * @param {function(!Object<string, *>)} aListener Listener.
+ * @see {rflect.ui.MomentumScroller.ScrollEvent#toObject}
+ */
+rflect.ui.MomentumScroller.prototype.addEventListener = function(aType,
+    aListener) {
+  const id = aType + '_' + goog.getUid(aListener);
+  if (this.externalListenerKeys_[id])
+    return;
+  this.externalListenerKeys_[id] = goog.events.listen(this.eventTarget_,
+      aType, (aEvent) => {
+    aListener(aEvent.toObject());
+  });
+}
+
+
+/**
+ * Unsubscribes plain JS listener from scroll events.
+ * @param {string} aType Event type.
+ * @param {function(!Object<string, *>)} aListener Listener.
+ */
+rflect.ui.MomentumScroller.prototype.removeEventListener = function(aType,
+    aListener) {
+  const id = aType + '_' + goog.getUid(aListener);
+  if (this.externalListenerKeys_[id]) {
+    goog.events.unlistenByKey(this.externalListenerKeys_[id]);
+    delete this.externalListenerKeys_[id];
+  }
+}
+
+
+/**
+ * Dispatches scroll event.
+ * @param {rflect.ui.MomentumScroller.EventType} aType Event type.
+ * @param {number} aOffsetX Horizontal position of content.
+ * @param {number} aOffsetY Vertical position of content.
+ * @param {number} aVelocityX Velocity of scroll left change, px/ms.
+ * @param {number} aVelocityY Velocity of scroll top change, px/ms.
+ * @param {?rflect.ui.MomentumScroller.Edge=} opt_edge Edge which event is
+ * related to.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.dispatch_ = function(aType, aOffsetX,
+    aOffsetY, aVelocityX, aVelocityY, opt_edge) {
+  this.eventTarget_.dispatchEvent(new rflect.ui.MomentumScroller.ScrollEvent(
+      aType, this, aOffsetX == 0 ? 0 : -aOffsetX, aOffsetY == 0 ? 0 : -aOffsetY,
+      aVelocityX, aVelocityY, opt_edge));
+}
+
+
+/**
+ * Dispatches SCROLL event if position of content changed since last one,
+ * and EDGE_REACHED if content got to one of edges.
+ * @param {number} aOffsetX Horizontal position of content.
+ * @param {number} aOffsetY Vertical position of content.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.dispatchScroll_ = function(aOffsetX,
+    aOffsetY) {
+  const previousX = this.lastScrollOffsetX_;
+  const previousY = this.lastScrollOffsetY_;
+  if (aOffsetX == previousX && aOffsetY == previousY)
+    return;
+  this.stickyHeaders_.update(aOffsetY, this.zoom_);
+
+  const now = goog.now();
+  const elapsed = now - this.lastScrollMoment_;
+  // Scroll position grows when content moves towards negative offsets.
+  const velocityX = elapsed > 0 ? (previousX - aOffsetX) / elapsed : 0;
+  const velocityY = elapsed > 0 ? (previousY - aOffsetY) / elapsed : 0;
+  this.lastScrollOffsetX_ = aOffsetX;
+  this.lastScrollOffsetY_ = aOffsetY;
+  this.lastScrollMoment_ = now;
+  this.trackedVelocityX_ = -velocityX;
+  this.trackedVelocityY_ = -velocityY;
+
+  this.dispatch_(rflect.ui.MomentumScroller.EventType.SCROLL, aOffsetX,
+      aOffsetY, velocityX, velocityY);
+
+  const edge = this.getReachedEdge_(previousX, previousY, aOffsetX,
+      aOffsetY);
+  if (edge) {
+    this.dispatch_(rflect.ui.MomentumScroller.EventType.EDGE_REACHED,
+        aOffsetX, aOffsetY, velocityX, velocityY, edge);
+  }
+  this.checkNearEnd_(aOffsetX, aOffsetY);
+}
+
+
+/**
+ * @param {number} aPreviousX Previous horizontal position of content.
+ * @param {number} aPreviousY Previous vertical position of content.
+ * @param {number} aOffsetX Horizontal position of content.
+ * @param {number} aOffsetY Vertical position of content.
+ * @return {?rflect.ui.MomentumScroller.Edge} Edge which content reached by
+ * moving between positions, if any.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.getReachedEdge_ = function(aPreviousX,
+    aPreviousY, aOffsetX, aOffsetY) {
+  const lowest = this.getLowestContentPosition();
+  const leftmost = this.getLeftmostContentPosition();
+  if (lowest < 0) {
+    if (aPreviousY < 0 && aOffsetY >= 0)
+      return rflect.ui.MomentumScroller.Edge.TOP;
+    if (aPreviousY > lowest && aOffsetY <= lowest)
+      return rflect.ui.MomentumScroller.Edge.BOTTOM;
+  }
+  if (leftmost < 0) {
+    if (aPreviousX < 0 && aOffsetX >= 0)
+      return rflect.ui.MomentumScroller.Edge.LEFT;
+    if (aPreviousX > leftmost && aOffsetX <= leftmost)
+      return rflect.ui.MomentumScroller.Edge.RIGHT;
+  }
+  return null;
+}
+
+
+/**
+ * @return {?rflect.ui.MomentumScroller.Edge} Edge beyond which content is,
+ * if any.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.getOutOfBoundsEdge_ = function() {
+  if (this.contentOffsetY > this.getHighestContentPosition())
+    return rflect.ui.MomentumScroller.Edge.TOP;
+  if (this.contentOffsetY < this.getLowestContentPosition())
+    return rflect.ui.MomentumScroller.Edge.BOTTOM;
+  if (this.contentOffsetX > 0)
+    return rflect.ui.MomentumScroller.Edge.LEFT;
+  if (this.contentOffsetX < this.getLeftmostContentPosition())
+    return rflect.ui.MomentumScroller.Edge.RIGHT;
+  return null;
+}
+
+
+/**
+ * Dispatches SCROLL_START if content was at rest.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.beginScrolling_ = function() {
+  if (this.scrolling_)
+    return;
+  this.scrolling_ = true;
+  this.dispatch_(rflect.ui.MomentumScroller.EventType.SCROLL_START,
+      this.contentOffsetX, this.contentOffsetY, 0, 0);
+}
+
+
+/**
+ * Called when content comes to rest. Reports final position, finishes
+ * momentum and hides scrollbar.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.finishScrolling_ = function() {
+  this.resolveScroll_(true);
+  this.stopPositionTracking_();
+  this.dispatchScroll_(this.contentOffsetX, this.contentOffsetY);
+  this.updatePageIndex_();
+  if (this.momentumActive_) {
+    this.momentumActive_ = false;
+    this.dispatch_(rflect.ui.MomentumScroller.EventType.MOMENTUM_END,
+        this.contentOffsetX, this.contentOffsetY, 0, 0);
+  }
+  if (this.scrolling_) {
+    this.scrolling_ = false;
+    this.dispatch_(rflect.ui.MomentumScroller.EventType.SCROLL_END,
+        this.contentOffsetX, this.contentOffsetY, 0, 0);
+  }
+  this.saveState_();
+  this.showScrollBarDelayed(false);
+}
+
+
+/**
+ * @return {boolean} Whether anyone listens to position of content.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.hasPositionListeners_ = function() {
+  return !!this.onNearEnd_ || !this.stickyHeaders_.isEmpty() ||
+      this.eventTarget_.hasListener(
+      rflect.ui.MomentumScroller.EventType.SCROLL) ||
+      this.eventTarget_.hasListener(
+      rflect.ui.MomentumScroller.EventType.EDGE_REACHED) ||
+      this.eventTarget_.hasListener(
+      rflect.ui.MomentumScroller.EventType.NEAR_END);
+}
+
+
+/**
+ * Starts reading position of content on each animation frame while
+ * transition is running.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.startPositionTracking_ = function() {
+  if (this.positionTrackingId_ || !this.hasPositionListeners_())
+    return;
+  const track = () => {
+    if (!this.transitioning_ || !this.element) {
+      this.positionTrackingId_ = 0;
+      return;
+    }
+    const matrix = this.getMatrixForElement(this.element);
+    this.dispatchScroll_(matrix.m41, matrix.m42);
+    this.positionTrackingId_ = requestAnimationFrame(track);
+  };
+  this.positionTrackingId_ = requestAnimationFrame(track);
+}
+
+
+/**
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.stopPositionTracking_ = function() {
+  if (this.positionTrackingId_) {
+    cancelAnimationFrame(this.positionTrackingId_);
+    this.positionTrackingId_ = 0;
+  }
+}
+
+
 /**
  * @return {string} Stylesheet id.
  */
@@ -1364,8 +6674,8 @@ rflect.ui.MomentumScroller.prototype.removeStyleSheet = function() {
  */
 rflect.ui.MomentumScroller.prototype.setUpStyles =
     function(aAddGlobalStyleSheet) {
-  const {position, overflow} = document.defaultView.getComputedStyle(
-      this.frameElement, null);
+  const {position, overflow, touchAction} =
+      document.defaultView.getComputedStyle(this.frameElement, null);
   if (goog.DEBUG)
     console.log('frameElementInitialStyle overflow: ', overflow);
   if (goog.DEBUG)
@@ -1373,11 +6683,26 @@ rflect.ui.MomentumScroller.prototype.setUpStyles =
 
   this.frameElementInitialStyle = {
     overflow: overflow,
-    position: position
+    position: position,
+    touchAction: this.usesPointerEvents_() ? touchAction : '',
+    tabIndex: this.frameElement.getAttribute('tabindex'),
+    role: this.frameElement.getAttribute('role'),
+    ariaLabel: this.frameElement.getAttribute('aria-label')
   }
 
   this.frameElement.style.overflow = 'hidden';
   this.frameElement.style.position = 'relative';
+  // Zoom scales content from its top left corner, as offsets assume.
+  goog.style.setStyle(this.element, 'transform-origin', '0 0');
+  if (this.usesPointerEvents_()) {
+    // Otherwise browser pans page and cancels pointer.
+    this.frameElement.style.touchAction = this.getTouchAction_();
+  }
+  if (goog.isNull(this.frameElementInitialStyle.tabIndex)) {
+    // Frame must be focusable to receive keys.
+    this.frameElement.setAttribute('tabindex', '0');
+  }
+  this.updateLabel_();
 
   if (aAddGlobalStyleSheet) {
     this.addStyleSheet();
@@ -1385,6 +6710,49 @@ rflect.ui.MomentumScroller.prototype.setUpStyles =
 }
 
 
+/**
+ * Sets accessible name of frame from label option, unless frame was named
+ * by its own markup. Named frame gets region role, unless it has own role.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.updateLabel_ = function() {
+  if (!this.frameElementInitialStyle)
+    return;
+  const labelledBy = this.frameElement.hasAttribute('aria-labelledby');
+  if (goog.isNull(this.frameElementInitialStyle.ariaLabel) && !labelledBy) {
+    const label = this.getStringOption_('label');
+    if (label) {
+      this.frameElement.setAttribute('aria-label', label);
+    } else {
+      this.frameElement.removeAttribute('aria-label');
+    }
+  }
+  if (goog.isNull(this.frameElementInitialStyle.role)) {
+    // Region without name isn't a landmark, so it's only noise for screen
+    // reader.
+    if (labelledBy || this.frameElement.hasAttribute('aria-label')) {
+      this.frameElement.setAttribute('role', 'region');
+    } else {
+      this.frameElement.removeAttribute('role');
+    }
+  }
+}
+
+
+/**
+ * @return {string} Touch action of frame. With direction lock, browser may
+ * pan page across scrolled axis, unless content is zoomed by pinch.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.getTouchAction_ = function() {
+  if (!this.getBooleanOption_('directionLock') ||
+      this.getAxis() == rflect.ui.MomentumScroller.Axis.BOTH ||
+      this.getBooleanOption_('zoom'))
+    return 'none';
+  return this.scrollsVertically() ? 'pan-x' : 'pan-y';
+}
+
+
 /**
  * Restores styles.
  * @param {boolean} aShouldRemoveGlobalStyleSheet Whether to remove global style
@@ -1397,6 +6765,20 @@ rflect.ui.MomentumScroller.prototype.restoreStyles =
         this.frameElementInitialStyle);
   this.frameElement.style.overflow = this.frameElementInitialStyle.overflow;
   this.frameElement.style.position = this.frameElementInitialStyle.position;
+  if (this.frameElementInitialStyle.touchAction) {
+    this.frameElement.style.touchAction =
+        this.frameElementInitialStyle.touchAction;
+  }
+  if (goog.isNull(this.frameElementInitialStyle.tabIndex)) {
+    this.frameElement.removeAttribute('tabindex');
+  }
+  if (goog.isNull(this.frameElementInitialStyle.role)) {
+    this.frameElement.removeAttribute('role');
+  }
+  if (goog.isNull(this.frameElementInitialStyle.ariaLabel)) {
+    this.frameElement.removeAttribute('aria-label');
+  }
+  goog.style.setStyle(this.element, 'transform-origin', '');
 
   if (aShouldRemoveGlobalStyleSheet) {
     this.removeStyleSheet();
@@ -1409,13 +6791,17 @@ rflect.ui.MomentumScroller.prototype.restoreStyles =
  */
 rflect.ui.MomentumScroller.prototype.getScrollBarContainer = function() {
   if (!this.scrollBarContainer_) {
+    this.scrollBarCaps_ = [
+      goog.dom.createDom('div',
+          'scrollbar-vertical-edge scrollbar-vertical-top'),
+      goog.dom.createDom('div',
+          'scrollbar-vertical-edge scrollbar-vertical-bottom')
+    ];
     this.scrollBarContainer_ = goog.dom.createDom('div',
         'scrollbar-vertical-cont',
-        /*goog.dom.createDom('div',
-            'scrollbar-vertical-edge scrollbar-vertical-top'),*/
-        this.getScrollBarLine()/*,
-        goog.dom.createDom('div',
-            'scrollbar-vertical-edge scrollbar-vertical-bottom')*/);
+        this.scrollBarCaps_[0],
+        this.getScrollBarLine(),
+        this.scrollBarCaps_[1]);
   }
   return this.scrollBarContainer_;
 };
@@ -1432,6 +6818,73 @@ rflect.ui.MomentumScroller.prototype.getScrollBarLine = function() {
 };
 
 
+/**
+ * @return {Element} Horizontal scrollbar container.
+ */
+rflect.ui.MomentumScroller.prototype.getHorizontalScrollBarContainer =
+    function() {
+  if (!this.horizontalScrollBarContainer_) {
+    this.horizontalScrollBarCaps_ = [
+      goog.dom.createDom('div',
+          'scrollbar-horizontal-edge scrollbar-horizontal-left'),
+      goog.dom.createDom('div',
+          'scrollbar-horizontal-edge scrollbar-horizontal-right')
+    ];
+    this.horizontalScrollBarContainer_ = goog.dom.createDom('div',
+        'scrollbar-horizontal-cont',
+        this.horizontalScrollBarCaps_[0],
+        this.getHorizontalScrollBarLine(),
+        this.horizontalScrollBarCaps_[1]);
+  }
+  return this.horizontalScrollBarContainer_;
+};
+
+
+/**
+ * @return {!Array<Element>} Rounded ends of both scrollbar lines.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.getScrollBarCaps_ = function() {
+  this.getScrollBarContainer();
+  this.getHorizontalScrollBarContainer();
+  return this.scrollBarCaps_.concat(this.horizontalScrollBarCaps_);
+};
+
+
+/**
+ * @return {Element} Horizontal scrollbar line.
+ */
+rflect.ui.MomentumScroller.prototype.getHorizontalScrollBarLine = function() {
+  if (!this.horizontalScrollBarLine_) {
+    this.horizontalScrollBarLine_ = goog.dom.createDom('div',
+        'scrollbar-horizontal-line');
+  }
+  return this.horizontalScrollBarLine_;
+};
+
+
+/**
+ * @param {boolean} aHorizontal Whether to get horizontal track.
+ * @return {Element} Track of interactive scrollbar, which catches pointer.
+ * @private
+ */
+rflect.ui.MomentumScroller.prototype.getScrollBarTrack_ = function(
+    aHorizontal) {
+  if (aHorizontal) {
+    if (!this.horizontalScrollBarTrack_) {
+      this.horizontalScrollBarTrack_ = goog.dom.createDom('div',
+          'scrollbar-horizontal-track');
+    }
+    return this.horizontalScrollBarTrack_;
+  }
+  if (!this.scrollBarTrack_) {
+    this.scrollBarTrack_ = goog.dom.createDom('div',
+        'scrollbar-vertical-track');
+  }
+  return this.scrollBarTrack_;
+};
+
+
 /**
  * Alias to setMouseMissToCancel with false argument.
  */
@@ -1441,15 +6894,188 @@ rflect.ui.MomentumScroller.prototype.disposeInternal = function() {
   this.resetInternal();
   this.scrollBarContainer_ = null;
   this.scrollBarLine_ = null;
+  this.scrollBarCaps_ = null;
+  this.horizontalScrollBarContainer_ = null;
+  this.horizontalScrollBarLine_ = null;
+  this.horizontalScrollBarCaps_ = null;
+  this.scrollBarTrack_ = null;
+  this.horizontalScrollBarTrack_ = null;
+  this.externalListenerKeys_ = {};
+  if (this.gesture_) {
+    this.gesture_.leave(this);
+    this.gesture_ = null;
+  }
+  this.eventTarget_.dispose();
   rflect.ui.MomentumScroller.superClass_.disposeInternal.call(this);
 };
 
 
+/**
+ * Event dispatched by scroller.
+ * @param {string} aType Event type.
+ * @param {rflect.ui.MomentumScroller} aScroller Scroller which dispatched
+ * event.
+ * @param {number} aScrollLeft Scroll left as in DOM.
+ * @param {number} aScrollTop Scroll top as in DOM.
+ * @param {number} aVelocityX Velocity of scroll left change, px/ms.
+ * @param {number} aVelocityY Velocity of scroll top change, px/ms.
+ * @param {?rflect.ui.MomentumScroller.Edge=} opt_edge Edge which event is
+ * related to.
+ * @constructor
+ * @extends {goog.events.Event}
+ */
+rflect.ui.MomentumScroller.ScrollEvent = function(aType, aScroller,
+    aScrollLeft, aScrollTop, aVelocityX, aVelocityY, opt_edge) {
+  goog.events.Event.call(this, aType, aScroller);
+
+  /**
+   * @type {number}
+   */
+  this.scrollLeft = aScrollLeft;
+
+  /**
+   * @type {number}
+   */
+  this.scrollTop = aScrollTop;
+
+  /**
+   * @type {number}
+   */
+  this.velocityX = aVelocityX;
+
+  /**
+   * @type {number}
+   */
+  this.velocityY = aVelocityY;
+
+  /**
+   * Direction of scroll left change: -1, 0 or 1.
+   * @type {number}
+   */
+  this.directionX = rflect.math.sign(aVelocityX);
+
+  /**
+   * Direction of scroll top change: -1, 0 or 1.
+   * @type {number}
+   */
+  this.directionY = rflect.math.sign(aVelocityY);
+
+  /**
+   * @type {?rflect.ui.MomentumScroller.Edge}
+   */
+  this.edge = opt_edge || null;
+
+  /**
+   * Progress of pull for PULL event, 1 means threshold is reached.
+   * @type {?number}
+   */
+  this.progress = null;
+
+  /**
+   * Index of snap point for PAGE_CHANGE event.
+   * @type {?number}
+   */
+  this.index = null;
+}
+goog.inherits(rflect.ui.MomentumScroller.ScrollEvent, goog.events.Event);
+
+
+/**
+ * @return {!Object<string, *>} Event fields with quoted names, for plain JS
+ * listeners.
+ */
+rflect.ui.MomentumScroller.ScrollEvent.prototype.toObject = function() {
+  return {
+    'type': this.type,
+    'scrollLeft': this.scrollLeft,
+    'scrollTop': this.scrollTop,
+    'velocityX': this.velocityX,
+    'velocityY': this.velocityY,
+    'directionX': this.directionX,
+    'directionY': this.directionY,
+    'edge': this.edge,
+    'progress': this.progress,
+    'index': this.index
+  };
+}
+
+
 goog.exportSymbol('MomentumScroller', rflect.ui.MomentumScroller);
 goog.exportSymbol('MomentumScroller.prototype.add', rflect.ui.MomentumScroller.prototype.add);
 goog.exportSymbol('MomentumScroller.prototype.remove', rflect.ui.MomentumScroller.prototype.remove);
 goog.exportSymbol('MomentumScroller.prototype.reset', rflect.ui.MomentumScroller.prototype.reset);
+goog.exportSymbol('MomentumScroller.prototype.getState', rflect.ui.MomentumScroller.prototype.getState);
+goog.exportSymbol('MomentumScroller.prototype.setState', rflect.ui.MomentumScroller.prototype.setState);
 goog.exportSymbol('MomentumScroller.prototype.getScrollTop', rflect.ui.MomentumScroller.prototype.getScrollTop);
 goog.exportSymbol('MomentumScroller.prototype.setScrollTop', rflect.ui.MomentumScroller.prototype.setScrollTop);
+goog.exportSymbol('MomentumScroller.prototype.scrollTo', rflect.ui.MomentumScroller.prototype.scrollTo);
+goog.exportSymbol('MomentumScroller.prototype.scrollBy', rflect.ui.MomentumScroller.prototype.scrollBy);
+goog.exportSymbol('MomentumScroller.prototype.scrollIntoView', rflect.ui.MomentumScroller.prototype.scrollIntoView);
+goog.exportSymbol('MomentumScroller.prototype.setPullToRefresh', rflect.ui.MomentumScroller.prototype.setPullToRefresh);
+goog.exportSymbol('MomentumScroller.prototype.isRefreshing', rflect.ui.MomentumScroller.prototype.isRefreshing);
+goog.exportSymbol('MomentumScroller.prototype.setNearEndHandler', rflect.ui.MomentumScroller.prototype.setNearEndHandler);
+goog.exportSymbol('MomentumScroller.prototype.isLoading', rflect.ui.MomentumScroller.prototype.isLoading);
+goog.exportSymbol('MomentumScroller.prototype.setVelocityEstimator', rflect.ui.MomentumScroller.prototype.setVelocityEstimator);
+goog.exportSymbol('MomentumScroller.prototype.setResistanceFunction', rflect.ui.MomentumScroller.prototype.setResistanceFunction);
+goog.exportSymbol('MomentumScroller.prototype.updateSizes', rflect.ui.MomentumScroller.prototype.updateSizes);
+goog.exportSymbol('MomentumScroller.prototype.getZoom', rflect.ui.MomentumScroller.prototype.getZoom);
+goog.exportSymbol('MomentumScroller.prototype.setZoom', rflect.ui.MomentumScroller.prototype.setZoom);
+goog.exportSymbol('MomentumScroller.prototype.getPageIndex', rflect.ui.MomentumScroller.prototype.getPageIndex);
+goog.exportSymbol('MomentumScroller.prototype.scrollToPage', rflect.ui.MomentumScroller.prototype.scrollToPage);
+goog.exportSymbol('MomentumScroller.prototype.getScrollLeft', rflect.ui.MomentumScroller.prototype.getScrollLeft);
+goog.exportSymbol('MomentumScroller.prototype.setScrollLeft', rflect.ui.MomentumScroller.prototype.setScrollLeft);
+goog.exportSymbol('MomentumScroller.prototype.setAxis', rflect.ui.MomentumScroller.prototype.setAxis);
+goog.exportSymbol('MomentumScroller.prototype.getAxis', rflect.ui.MomentumScroller.prototype.getAxis);
+goog.exportSymbol('MomentumScroller.prototype.addEventListener', rflect.ui.MomentumScroller.prototype.addEventListener);
+goog.exportSymbol('MomentumScroller.prototype.removeEventListener', rflect.ui.MomentumScroller.prototype.removeEventListener);
+goog.exportSymbol('MomentumScroller.prototype.updateOptions', rflect.ui.MomentumScroller.prototype.updateOptions);
+goog.exportSymbol('MomentumScroller.prototype.getOptions', rflect.ui.MomentumScroller.prototype.getOptions);
+goog.exportSymbol('MomentumScroller.getDefaultOptions', rflect.ui.MomentumScroller.getDefaultOptions);
+goog.exportSymbol('MomentumScroller.prototype.setInputMode', rflect.ui.MomentumScroller.prototype.setInputMode);
+goog.exportSymbol('MomentumScroller.prototype.getInputMode', rflect.ui.MomentumScroller.prototype.getInputMode);
+goog.exportSymbol('MomentumScroller.prototype.setEnableMode', rflect.ui.MomentumScroller.prototype.setEnableMode);
+goog.exportSymbol('MomentumScroller.prototype.getEnableMode', rflect.ui.MomentumScroller.prototype.getEnableMode);
+goog.exportSymbol('MomentumScroller.isSupported', rflect.ui.MomentumScroller.isSupported);
+goog.exportSymbol('MomentumScroller.Axis.VERTICAL', rflect.ui.MomentumScroller.Axis.VERTICAL);
+goog.exportSymbol('MomentumScroller.Axis.HORIZONTAL', rflect.ui.MomentumScroller.Axis.HORIZONTAL);
+goog.exportSymbol('MomentumScroller.Axis.BOTH', rflect.ui.MomentumScroller.Axis.BOTH);
+goog.exportSymbol('MomentumScroller.InputMode.TOUCH', rflect.ui.MomentumScroller.InputMode.TOUCH);
+goog.exportSymbol('MomentumScroller.InputMode.POINTER', rflect.ui.MomentumScroller.InputMode.POINTER);
+goog.exportSymbol('MomentumScroller.EnableMode.IOS', rflect.ui.MomentumScroller.EnableMode.IOS);
+goog.exportSymbol('MomentumScroller.EnableMode.DETECT', rflect.ui.MomentumScroller.EnableMode.DETECT);
+goog.exportSymbol('MomentumScroller.EnableMode.FORCE', rflect.ui.MomentumScroller.EnableMode.FORCE);
+goog.exportSymbol('MomentumScroller.EventType.DRAG_START', rflect.ui.MomentumScroller.EventType.DRAG_START);
+goog.exportSymbol('MomentumScroller.EventType.DRAG_END', rflect.ui.MomentumScroller.EventType.DRAG_END);
+goog.exportSymbol('MomentumScroller.EventType.SCROLL_START', rflect.ui.MomentumScroller.EventType.SCROLL_START);
+goog.exportSymbol('MomentumScroller.EventType.SCROLL', rflect.ui.MomentumScroller.EventType.SCROLL);
+goog.exportSymbol('MomentumScroller.EventType.SCROLL_END', rflect.ui.MomentumScroller.EventType.SCROLL_END);
+goog.exportSymbol('MomentumScroller.EventType.MOMENTUM_START', rflect.ui.MomentumScroller.EventType.MOMENTUM_START);
+goog.exportSymbol('MomentumScroller.EventType.MOMENTUM_END', rflect.ui.MomentumScroller.EventType.MOMENTUM_END);
+goog.exportSymbol('MomentumScroller.EventType.EDGE_REACHED', rflect.ui.MomentumScroller.EventType.EDGE_REACHED);
+goog.exportSymbol('MomentumScroller.EventType.BOUNCE', rflect.ui.MomentumScroller.EventType.BOUNCE);
+goog.exportSymbol('MomentumScroller.EventType.PULL', rflect.ui.MomentumScroller.EventType.PULL);
+goog.exportSymbol('MomentumScroller.EventType.REFRESH_START', rflect.ui.MomentumScroller.EventType.REFRESH_START);
+goog.exportSymbol('MomentumScroller.EventType.REFRESH_END', rflect.ui.MomentumScroller.EventType.REFRESH_END);
+goog.exportSymbol('MomentumScroller.EventType.NEAR_END', rflect.ui.MomentumScroller.EventType.NEAR_END);
+goog.exportSymbol('MomentumScroller.EventType.PAGE_CHANGE', rflect.ui.MomentumScroller.EventType.PAGE_CHANGE);
+goog.exportSymbol('MomentumScroller.SnapMode.NONE', rflect.ui.MomentumScroller.SnapMode.NONE);
+goog.exportSymbol('MomentumScroller.SnapMode.PAGING', rflect.ui.MomentumScroller.SnapMode.PAGING);
+goog.exportSymbol('MomentumScroller.SnapMode.POINTS', rflect.ui.MomentumScroller.SnapMode.POINTS);
+goog.exportSymbol('MomentumScroller.Engine.TRANSITION', rflect.ui.MomentumScroller.Engine.TRANSITION);
+goog.exportSymbol('MomentumScroller.Engine.ANIMATION_FRAME', rflect.ui.MomentumScroller.Engine.ANIMATION_FRAME);
+goog.exportSymbol('MomentumScroller.Align.START', rflect.ui.MomentumScroller.Align.START);
+goog.exportSymbol('MomentumScroller.Align.CENTER', rflect.ui.MomentumScroller.Align.CENTER);
+goog.exportSymbol('MomentumScroller.Align.END', rflect.ui.MomentumScroller.Align.END);
+goog.exportSymbol('MomentumScroller.Align.NEAREST', rflect.ui.MomentumScroller.Align.NEAREST);
+goog.exportSymbol('MomentumScroller.Edge.TOP', rflect.ui.MomentumScroller.Edge.TOP);
+goog.exportSymbol('MomentumScroller.Edge.BOTTOM', rflect.ui.MomentumScroller.Edge.BOTTOM);
+goog.exportSymbol('MomentumScroller.Edge.LEFT', rflect.ui.MomentumScroller.Edge.LEFT);
+goog.exportSymbol('MomentumScroller.Edge.RIGHT', rflect.ui.MomentumScroller.Edge.RIGHT);
+goog.exportSymbol('MomentumScroller.GestureType.TAP', rflect.ui.MomentumScroller.GestureType.TAP);
+goog.exportSymbol('MomentumScroller.GestureType.DOUBLE_TAP', rflect.ui.MomentumScroller.GestureType.DOUBLE_TAP);
+goog.exportSymbol('MomentumScroller.GestureType.LONG_PRESS', rflect.ui.MomentumScroller.GestureType.LONG_PRESS);
+goog.exportSymbol('MomentumScroller.GestureType.SWIPE', rflect.ui.MomentumScroller.GestureType.SWIPE);
+goog.exportSymbol('MomentumScroller.ClickMode.NONE', rflect.ui.MomentumScroller.ClickMode.NONE);
+goog.exportSymbol('MomentumScroller.ClickMode.MOUSE', rflect.ui.MomentumScroller.ClickMode.MOUSE);
+goog.exportSymbol('MomentumScroller.ClickMode.POINTER', rflect.ui.MomentumScroller.ClickMode.POINTER);
 goog.exportSymbol('MomentumScroller.prototype.dispose', rflect.ui.MomentumScroller.prototype.dispose);
-
@@ -0,0 +1,232 @@
+/*
+ * Copyright (c) 2014. Rflect, Alex K.
+ */
+
+/**
+ * @fileoverview Zoom limits and pinch of content by two fingers. Knows
+ * nothing of elements, it gets points and content position and tells zoom
+ * and position which follow fingers.
+ */
+
+goog.provide('rflect.ui.PinchZoom');
+
+goog.require('goog.math');
+goog.require('goog.math.Coordinate');
+
+
+
+/**
+ * Pinch main class. Remembers zoom, content position and point between
+ * fingers at the start of pinch, so that point of content which was under
+ * fingers follows them.
+ * @constructor
+ */
+rflect.ui.PinchZoom = function() {
+  /**
+   * Position of frame in viewport at the start of pinch.
+   * @type {!goog.math.Coordinate}
+   * @private
+   */
+  this.frameOrigin_ = new goog.math.Coordinate();
+
+  /**
+   * Point between fingers at the start of pinch, relative to frame.
+   * @type {!goog.math.Coordinate}
+   * @private
+   */
+  this.startMidpoint_ = new goog.math.Coordinate();
+
+  /**
+   * Current point between fingers, relative to frame.
+   * @type {!goog.math.Coordinate}
+   * @private
+   */
+  this.midpoint_ = new goog.math.Coordinate();
+
+  /**
+   * Content position at the start of pinch.
+   * @type {!goog.math.Coordinate}
+   * @private
+   */
+  this.startOffset_ = new goog.math.Coordinate();
+};
+
+
+/**
+ * Exponent with which zoom beyond limits is damped during pinch, the less it
+ * is the stronger resistance.
+ * @type {number}
+ */
+rflect.ui.PinchZoom.RESISTANCE = .3;
+
+
+/**
+ * Whether two fingers pinch content.
+ * @type {boolean}
+ * @private
+ */
+rflect.ui.PinchZoom.prototype.active_ = false;
+
+
+/**
+ * Whether pinch ended, but not all fingers are lifted yet. Remaining finger
+ * doesn't drag content.
+ * @type {boolean}
+ * @private
+ */
+rflect.ui.PinchZoom.prototype.ended_ = false;
+
+
+/**
+ * Zoom at the start of pinch.
+ * @type {number}
+ * @private
+ */
+rflect.ui.PinchZoom.prototype.startZoom_ = 1;
+
+
+/**
+ * Distance between fingers at the start of pinch.
+ * @type {number}
+ * @private
+ */
+rflect.ui.PinchZoom.prototype.startDistance_ = 1;
+
+
+/**
+ * @param {number} aZoom Zoom to clamp.
+ * @param {number} aMinZoom Minimal zoom.
+ * @param {number} aMaxZoom Maximal zoom, minimal one if it's less.
+ * @return {number} Zoom within limits.
+ */
+rflect.ui.PinchZoom.clamp = function(aZoom, aMinZoom, aMaxZoom) {
+  return goog.math.clamp(aZoom, aMinZoom, Math.max(aMinZoom, aMaxZoom));
+}
+
+
+/**
+ * @param {number} aZoom Zoom which fingers ask for.
+ * @param {number} aMinZoom Minimal zoom.
+ * @param {number} aMaxZoom Maximal zoom.
+ * @return {number} Zoom which is damped beyond limits.
+ */
+rflect.ui.PinchZoom.resist = function(aZoom, aMinZoom, aMaxZoom) {
+  const limit = rflect.ui.PinchZoom.clamp(aZoom, aMinZoom, aMaxZoom);
+  if (limit == aZoom)
+    return limit;
+  return limit * Math.pow(aZoom / limit, rflect.ui.PinchZoom.RESISTANCE);
+}
+
+
+/**
+ * @param {number} aOrigin Origin of zoom along axis, relative to frame.
+ * @param {number} aOffset Content position along axis.
+ * @param {number} aRatio How many times zoom changes.
+ * @return {number} Content position at which point under origin stays in
+ * place.
+ */
+rflect.ui.PinchZoom.getOffsetAround = function(aOrigin, aOffset, aRatio) {
+  return aOrigin - (aOrigin - aOffset) * aRatio;
+}
+
+
+/**
+ * @param {!goog.math.Coordinate} aPoint1 First finger, in viewport.
+ * @param {!goog.math.Coordinate} aPoint2 Second finger, in viewport.
+ * @return {!goog.math.Coordinate} Point between fingers, relative to frame.
+ * @private
+ */
+rflect.ui.PinchZoom.prototype.getMidpoint_ = function(aPoint1, aPoint2) {
+  return new goog.math.Coordinate(
+      (aPoint1.x + aPoint2.x) / 2 - this.frameOrigin_.x,
+      (aPoint1.y + aPoint2.y) / 2 - this.frameOrigin_.y);
+}
+
+
+/**
+ * Starts pinch.
+ * @param {!goog.math.Coordinate} aPoint1 First finger, in viewport.
+ * @param {!goog.math.Coordinate} aPoint2 Second finger, in viewport.
+ * @param {!goog.math.Coordinate} aFrameOrigin Position of frame in viewport.
+ * @param {number} aZoom Current zoom.
+ * @param {!goog.math.Coordinate} aOffset Current content position.
+ */
+rflect.ui.PinchZoom.prototype.start = function(aPoint1, aPoint2,
+    aFrameOrigin, aZoom, aOffset) {
+  this.active_ = true;
+  this.ended_ = false;
+  this.frameOrigin_ = aFrameOrigin.clone();
+  this.startZoom_ = aZoom;
+  this.startDistance_ = goog.math.Coordinate.distance(aPoint1, aPoint2) || 1;
+  this.startMidpoint_ = this.midpoint_ = this.getMidpoint_(aPoint1, aPoint2);
+  this.startOffset_ = aOffset.clone();
+}
+
+
+/**
+ * Follows fingers.
+ * @param {!goog.math.Coordinate} aPoint1 First finger, in viewport.
+ * @param {!goog.math.Coordinate} aPoint2 Second finger, in viewport.
+ * @return {number} Zoom which fingers ask for, by change of distance between
+ * them.
+ */
+rflect.ui.PinchZoom.prototype.move = function(aPoint1, aPoint2) {
+  this.midpoint_ = this.getMidpoint_(aPoint1, aPoint2);
+  return this.startZoom_ * goog.math.Coordinate.distance(aPoint1, aPoint2) /
+      this.startDistance_;
+}
+
+
+/**
+ * @param {number} aZoom Zoom content has.
+ * @return {!goog.math.Coordinate} Content position at which point of content
+ * which was under fingers at the start is under them now.
+ */
+rflect.ui.PinchZoom.prototype.getOffset = function(aZoom) {
+  const ratio = aZoom / this.startZoom_;
+  return new goog.math.Coordinate(
+      this.midpoint_.x - (this.startMidpoint_.x - this.startOffset_.x) * ratio,
+      this.midpoint_.y - (this.startMidpoint_.y - this.startOffset_.y) * ratio);
+}
+
+
+/**
+ * @return {!goog.math.Coordinate} Current point between fingers, relative to
+ * frame.
+ */
+rflect.ui.PinchZoom.prototype.getMidpoint = function() {
+  return this.midpoint_.clone();
+}
+
+
+/**
+ * Ends pinch when one of fingers is lifted.
+ */
+rflect.ui.PinchZoom.prototype.end = function() {
+  this.active_ = false;
+  this.ended_ = true;
+}
+
+
+/**
+ * Forgets ended pinch once all fingers are lifted.
+ */
+rflect.ui.PinchZoom.prototype.finish = function() {
+  this.ended_ = false;
+}
+
+
+/**
+ * @return {boolean} Whether two fingers pinch content.
+ */
+rflect.ui.PinchZoom.prototype.isActive = function() {
+  return this.active_;
+}
+
+
+/**
+ * @return {boolean} Whether pinch ended, but not all fingers are lifted yet.
+ */
+rflect.ui.PinchZoom.prototype.isEnded = function() {
+  return this.ended_;
+}
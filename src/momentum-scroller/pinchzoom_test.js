@@ -0,0 +1,126 @@
+/*
+ * Copyright (c) 2014. Rflect, Alex K.
+ */
+
+/**
+ * @fileoverview Unit tests for pinch zoom, on synthetic finger positions.
+ */
+
+goog.provide('rflect.ui.PinchZoomTest');
+goog.setTestOnly('rflect.ui.PinchZoomTest');
+
+goog.require('goog.math.Coordinate');
+goog.require('goog.testing.jsunit');
+goog.require('rflect.ui.PinchZoom');
+
+
+/**
+ * Tolerance of zoom and position comparisons.
+ * @type {number}
+ */
+var EPSILON = 1e-9;
+
+
+/**
+ * Position of frame in viewport.
+ * @type {!goog.math.Coordinate}
+ */
+var FRAME_ORIGIN = new goog.math.Coordinate(10, 20);
+
+
+/**
+ * @param {!rflect.ui.PinchZoom} aPinch Pinch.
+ * @param {number} aZoom Zoom content has.
+ * @return {!goog.math.Coordinate} Point of content under fingers, unscaled.
+ */
+function getPointUnderFingers(aPinch, aZoom) {
+  const midpoint = aPinch.getMidpoint();
+  const offset = aPinch.getOffset(aZoom);
+  return new goog.math.Coordinate((midpoint.x - offset.x) / aZoom,
+      (midpoint.y - offset.y) / aZoom);
+}
+
+
+function testClamp() {
+  assertEquals(1, rflect.ui.PinchZoom.clamp(.5, 1, 4));
+  assertEquals(2, rflect.ui.PinchZoom.clamp(2, 1, 4));
+  assertEquals(4, rflect.ui.PinchZoom.clamp(5, 1, 4));
+  // Maximum which is less than minimum gives way to it.
+  assertEquals(2, rflect.ui.PinchZoom.clamp(3, 2, 1));
+}
+
+
+function testResist() {
+  assertEquals(2, rflect.ui.PinchZoom.resist(2, 1, 4));
+  assertRoughlyEquals(4 * Math.pow(2, rflect.ui.PinchZoom.RESISTANCE),
+      rflect.ui.PinchZoom.resist(8, 1, 4), EPSILON);
+  assertRoughlyEquals(Math.pow(.5, rflect.ui.PinchZoom.RESISTANCE),
+      rflect.ui.PinchZoom.resist(.5, 1, 4), EPSILON);
+}
+
+
+function testGetOffsetAround() {
+  // Content point under origin, 100 - -50 = 150, becomes 300 from content
+  // start.
+  assertEquals(-200, rflect.ui.PinchZoom.getOffsetAround(100, -50, 2));
+  assertEquals(-50, rflect.ui.PinchZoom.getOffsetAround(100, -50, 1));
+}
+
+
+function testSpreadScalesAroundFingers() {
+  const pinch = new rflect.ui.PinchZoom();
+  pinch.start(new goog.math.Coordinate(0, 0), new goog.math.Coordinate(100, 0),
+      FRAME_ORIGIN, 1, new goog.math.Coordinate(-50, 0));
+  const startPoint = getPointUnderFingers(pinch, 1);
+
+  const zoom = pinch.move(new goog.math.Coordinate(-50, 0),
+      new goog.math.Coordinate(150, 0));
+
+  assertRoughlyEquals(2, zoom, EPSILON);
+  const point = getPointUnderFingers(pinch, zoom);
+  assertRoughlyEquals(startPoint.x, point.x, EPSILON);
+  assertRoughlyEquals(startPoint.y, point.y, EPSILON);
+}
+
+
+function testMoveOfFingersPans() {
+  const pinch = new rflect.ui.PinchZoom();
+  pinch.start(new goog.math.Coordinate(0, 0), new goog.math.Coordinate(0, 60),
+      FRAME_ORIGIN, 1.5, new goog.math.Coordinate(-20, -40));
+
+  const zoom = pinch.move(new goog.math.Coordinate(30, 10),
+      new goog.math.Coordinate(30, 70));
+
+  assertRoughlyEquals(1.5, zoom, EPSILON);
+  const offset = pinch.getOffset(zoom);
+  assertRoughlyEquals(10, offset.x, EPSILON);
+  assertRoughlyEquals(-30, offset.y, EPSILON);
+}
+
+
+function testMidpointIsRelativeToFrame() {
+  const pinch = new rflect.ui.PinchZoom();
+  pinch.start(new goog.math.Coordinate(20, 40),
+      new goog.math.Coordinate(40, 60), FRAME_ORIGIN, 1,
+      new goog.math.Coordinate(0, 0));
+
+  const midpoint = pinch.getMidpoint();
+  assertEquals(20, midpoint.x);
+  assertEquals(30, midpoint.y);
+}
+
+
+function testEndAndFinish() {
+  const pinch = new rflect.ui.PinchZoom();
+  assertFalse(pinch.isActive());
+  pinch.start(new goog.math.Coordinate(0, 0), new goog.math.Coordinate(10, 0),
+      FRAME_ORIGIN, 1, new goog.math.Coordinate(0, 0));
+  assertTrue(pinch.isActive());
+
+  pinch.end();
+  assertFalse(pinch.isActive());
+  assertTrue(pinch.isEnded());
+
+  pinch.finish();
+  assertFalse(pinch.isEnded());
+}
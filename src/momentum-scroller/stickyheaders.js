@@ -0,0 +1,123 @@
+/*
+ * Copyright (c) 2014. Rflect, Alex K.
+ */
+
+/**
+ * @fileoverview Section headers which are pinned at the top of frame while
+ * their section passes under it.
+ */
+
+goog.provide('rflect.ui.StickyHeaders');
+
+goog.require('goog.dom.classlist');
+goog.require('goog.math');
+goog.require('rflect.browser.css');
+
+
+
+/**
+ * Sticky headers main class. Measures headers within content once, then
+ * moves them by transform as content scrolls.
+ * @constructor
+ */
+rflect.ui.StickyHeaders = function() {
+  /**
+   * Headers with their positions within content, from the first one.
+   * <code>top</code> is header's own position, <code>limit</code> is how far
+   * it may be moved down before it's pushed up, <code>shift</code> is how
+   * far it's moved now.
+   * @type {!Array<{element: !Element, top: number, limit: number,
+   *     shift: number}>}
+   * @private
+   */
+  this.headers_ = [];
+};
+
+
+/**
+ * Finds headers in content and measures their positions within it.
+ * @param {!Element} aContent Content element.
+ * @param {string} aSelector Selector of headers.
+ * @param {number} aContentHeight Height of content, without zoom.
+ * @param {number} aZoom Scale of content.
+ */
+rflect.ui.StickyHeaders.prototype.measure = function(aContent, aSelector,
+    aContentHeight, aZoom) {
+  this.clear();
+
+  const elements = Array.prototype.slice.call(
+      aContent.querySelectorAll(aSelector));
+  elements.forEach((aElement) => {
+    goog.dom.classlist.add(aElement, 'sticky-header');
+  });
+  // Rectangles are scaled with content, positions are taken without zoom.
+  const contentTop = aContent.getBoundingClientRect().top;
+  const getTop = (aElement) =>
+      (aElement.getBoundingClientRect().top - contentTop) / aZoom;
+  const getBottom = (aElement) =>
+      (aElement.getBoundingClientRect().bottom - contentTop) / aZoom;
+
+  this.headers_ = elements.map((aElement, aIndex) => {
+    const top = getTop(aElement);
+    const parent = aElement.parentElement;
+    let end = aIndex + 1 < elements.length ? getTop(elements[aIndex + 1]) :
+        aContentHeight;
+    if (parent != aContent) {
+      end = Math.min(end, getBottom(parent));
+    }
+    return {
+      element: aElement,
+      top: top,
+      limit: Math.max(0, end - top - aElement.offsetHeight),
+      shift: 0
+    };
+  });
+}
+
+
+/**
+ * Puts headers back in place and forgets them.
+ */
+rflect.ui.StickyHeaders.prototype.clear = function() {
+  this.headers_.forEach((aHeader) => {
+    goog.dom.classlist.remove(aHeader.element, 'sticky-header');
+    rflect.browser.css.setTransform(aHeader.element, '');
+  });
+  this.headers_ = [];
+}
+
+
+/**
+ * Moves headers so that the one whose section is at the top of frame is
+ * pinned there.
+ * @param {number} aOffsetY Vertical position of content.
+ * @param {number} aZoom Scale of content.
+ */
+rflect.ui.StickyHeaders.prototype.update = function(aOffsetY, aZoom) {
+  const visibleTop = -aOffsetY / aZoom;
+  this.headers_.forEach((aHeader) => {
+    const shift = goog.math.clamp(visibleTop - aHeader.top, 0, aHeader.limit);
+    if (shift == aHeader.shift)
+      return;
+    aHeader.shift = shift;
+    rflect.browser.css.setTransform(aHeader.element,
+        `translate3d(0, ${shift}px, 0)`);
+  });
+}
+
+
+/**
+ * @return {boolean} Whether there are no headers.
+ */
+rflect.ui.StickyHeaders.prototype.isEmpty = function() {
+  return !this.headers_.length;
+}
+
+
+/**
+ * @param {Node} aNode Node to test.
+ * @return {boolean} Whether node is one of headers.
+ */
+rflect.ui.StickyHeaders.prototype.contains = function(aNode) {
+  return this.headers_.some((aHeader) => aHeader.element == aNode);
+}
@@ -0,0 +1,192 @@
+/*
+ * Copyright (c) 2014. Rflect, Alex K.
+ */
+
+/**
+ * @fileoverview Tracker of pointer samples which estimates velocity of
+ * fling. Has no DOM dependencies, so could be used and tested on its own.
+ */
+
+goog.provide('rflect.ui.VelocityTracker');
+
+
+
+/**
+ * Velocity tracker main class. Keeps rolling window of timestamped samples,
+ * velocity along each axis is computed from them by estimator.
+ * @param {rflect.ui.VelocityTracker.Estimator=} opt_estimator Estimator to
+ * use, least squares by default.
+ * @constructor
+ */
+rflect.ui.VelocityTracker = function(opt_estimator) {
+  /**
+   * @type {rflect.ui.VelocityTracker.Estimator}
+   * @private
+   */
+  this.estimator_ = opt_estimator ||
+      rflect.ui.VelocityTracker.leastSquares;
+
+  /**
+   * Sample times, ms.
+   * @type {!Array<number>}
+   * @private
+   */
+  this.times_ = [];
+
+  /**
+   * Horizontal sample positions, px.
+   * @type {!Array<number>}
+   * @private
+   */
+  this.positionsX_ = [];
+
+  /**
+   * Vertical sample positions, px.
+   * @type {!Array<number>}
+   * @private
+   */
+  this.positionsY_ = [];
+};
+
+
+/**
+ * Function which estimates velocity from sample times and positions along
+ * one axis, given oldest first. Returns velocity in px/ms.
+ * @typedef {function(!Array<number>, !Array<number>): number}
+ */
+rflect.ui.VelocityTracker.Estimator;
+
+
+/**
+ * Age of the oldest sample which is taken into account, ms.
+ * @type {number}
+ */
+rflect.ui.VelocityTracker.SAMPLE_WINDOW = 100;
+
+
+/**
+ * How many samples are kept at most.
+ * @type {number}
+ */
+rflect.ui.VelocityTracker.MAX_SAMPLES = 20;
+
+
+/**
+ * If pointer didn't move for that long before release, it rested, and there's
+ * no velocity, ms.
+ * @type {number}
+ */
+rflect.ui.VelocityTracker.REST_TIME = 40;
+
+
+/**
+ * Estimates velocity as slope of least squares line through samples, so
+ * single jittery sample doesn't change it much.
+ * @param {!Array<number>} aTimes Sample times.
+ * @param {!Array<number>} aPositions Sample positions.
+ * @return {number} Velocity, px/ms.
+ */
+rflect.ui.VelocityTracker.leastSquares = function(aTimes, aPositions) {
+  const count = aTimes.length;
+  if (count < 2)
+    return 0;
+
+  let meanTime = 0;
+  let meanPosition = 0;
+  for (let index = 0; index < count; index++) {
+    meanTime += aTimes[index] / count;
+    meanPosition += aPositions[index] / count;
+  }
+
+  // slope = sum((t - mean t) * (x - mean x)) / sum((t - mean t)^2)
+  let covariance = 0;
+  let variance = 0;
+  for (let index = 0; index < count; index++) {
+    const timeDelta = aTimes[index] - meanTime;
+    covariance += timeDelta * (aPositions[index] - meanPosition);
+    variance += timeDelta * timeDelta;
+  }
+  return variance ? covariance / variance : 0;
+}
+
+
+/**
+ * Estimates velocity from the last two samples only, v = (x1 - x0) /
+ * (t1 - t0).
+ * @param {!Array<number>} aTimes Sample times.
+ * @param {!Array<number>} aPositions Sample positions.
+ * @return {number} Velocity, px/ms.
+ */
+rflect.ui.VelocityTracker.lastTwoSamples = function(aTimes, aPositions) {
+  const count = aTimes.length;
+  if (count < 2)
+    return 0;
+  const duration = aTimes[count - 1] - aTimes[count - 2];
+  return duration ?
+      (aPositions[count - 1] - aPositions[count - 2]) / duration : 0;
+}
+
+
+/**
+ * @param {rflect.ui.VelocityTracker.Estimator} aEstimator Estimator to use.
+ */
+rflect.ui.VelocityTracker.prototype.setEstimator = function(aEstimator) {
+  this.estimator_ = aEstimator;
+}
+
+
+/**
+ * Forgets all samples.
+ */
+rflect.ui.VelocityTracker.prototype.reset = function() {
+  this.times_.length = 0;
+  this.positionsX_.length = 0;
+  this.positionsY_.length = 0;
+}
+
+
+/**
+ * Adds sample, dropping ones which are too old.
+ * @param {number} aX Horizontal position, px.
+ * @param {number} aY Vertical position, px.
+ * @param {number} aTime Time of sample, ms.
+ */
+rflect.ui.VelocityTracker.prototype.addSample = function(aX, aY, aTime) {
+  this.times_.push(aTime);
+  this.positionsX_.push(aX);
+  this.positionsY_.push(aY);
+
+  while (this.times_.length > rflect.ui.VelocityTracker.MAX_SAMPLES ||
+      aTime - this.times_[0] > rflect.ui.VelocityTracker.SAMPLE_WINDOW) {
+    this.times_.shift();
+    this.positionsX_.shift();
+    this.positionsY_.shift();
+  }
+}
+
+
+/**
+ * @param {boolean} aHorizontal Whether to get horizontal velocity.
+ * @param {number} aTime Time of release, ms.
+ * @return {number} Velocity along axis at release, px/ms, 0 if pointer
+ * rested before it.
+ */
+rflect.ui.VelocityTracker.prototype.getVelocity = function(aHorizontal,
+    aTime) {
+  const count = this.times_.length;
+  if (!count || aTime - this.times_[count - 1] >
+      rflect.ui.VelocityTracker.REST_TIME)
+    return 0;
+  const velocity = this.estimator_(this.times_.slice(),
+      (aHorizontal ? this.positionsX_ : this.positionsY_).slice());
+  return isFinite(velocity) ? velocity : 0;
+}
+
+
+goog.exportSymbol('VelocityTracker', rflect.ui.VelocityTracker);
+goog.exportSymbol('VelocityTracker.leastSquares', rflect.ui.VelocityTracker.leastSquares);
+goog.exportSymbol('VelocityTracker.lastTwoSamples', rflect.ui.VelocityTracker.lastTwoSamples);
+goog.exportSymbol('VelocityTracker.prototype.setEstimator', rflect.ui.VelocityTracker.prototype.setEstimator);
+goog.exportSymbol('VelocityTracker.prototype.reset', rflect.ui.VelocityTracker.prototype.reset);
+goog.exportSymbol('VelocityTracker.prototype.addSample', rflect.ui.VelocityTracker.prototype.addSample);
+goog.exportSymbol('VelocityTracker.prototype.getVelocity', rflect.ui.VelocityTracker.prototype.getVelocity);
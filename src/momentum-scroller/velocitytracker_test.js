@@ -0,0 +1,152 @@
+/*
+ * Copyright (c) 2014. Rflect, Alex K.
+ */
+
+/**
+ * @fileoverview Unit tests for velocity tracker, on synthetic samples.
+ */
+
+goog.provide('rflect.ui.VelocityTrackerTest');
+goog.setTestOnly('rflect.ui.VelocityTrackerTest');
+
+goog.require('goog.testing.jsunit');
+goog.require('rflect.ui.VelocityTracker');
+
+
+/**
+ * Tolerance of velocity comparisons, px/ms.
+ * @type {number}
+ */
+var EPSILON = 1e-9;
+
+
+/**
+ * Adds samples of motion with constant velocity along both axes.
+ * @param {!rflect.ui.VelocityTracker} aTracker Tracker.
+ * @param {number} aStartTime Time of the first sample, ms.
+ * @param {number} aCount Number of samples.
+ * @param {number} aInterval Time between samples, ms.
+ * @param {number} aVelocityX Horizontal velocity, px/ms.
+ * @param {number} aVelocityY Vertical velocity, px/ms.
+ */
+function addUniformSamples(aTracker, aStartTime, aCount, aInterval,
+    aVelocityX, aVelocityY) {
+  for (let index = 0; index < aCount; index++) {
+    const elapsed = index * aInterval;
+    aTracker.addSample(aVelocityX * elapsed, aVelocityY * elapsed,
+        aStartTime + elapsed);
+  }
+}
+
+
+function testLeastSquaresOfUniformMotion() {
+  assertRoughlyEquals(.5, rflect.ui.VelocityTracker.leastSquares(
+      [0, 10, 20, 30], [0, 5, 10, 15]), EPSILON);
+  assertRoughlyEquals(-2, rflect.ui.VelocityTracker.leastSquares(
+      [100, 108, 116], [50, 34, 18]), EPSILON);
+}
+
+
+function testLeastSquaresSmoothsJitter() {
+  // Mean time is 15, mean position is 8, so slope is 260 / 500.
+  assertRoughlyEquals(.52, rflect.ui.VelocityTracker.leastSquares(
+      [0, 10, 20, 30], [0, 5, 12, 15]), EPSILON);
+}
+
+
+function testLeastSquaresOfTooFewSamples() {
+  assertEquals(0, rflect.ui.VelocityTracker.leastSquares([], []));
+  assertEquals(0, rflect.ui.VelocityTracker.leastSquares([10], [20]));
+  // Samples at the same moment give no line.
+  assertEquals(0, rflect.ui.VelocityTracker.leastSquares([10, 10], [0, 20]));
+}
+
+
+function testLastTwoSamples() {
+  // Earlier samples are ignored, jitter of the last one isn't smoothed.
+  assertRoughlyEquals(.3, rflect.ui.VelocityTracker.lastTwoSamples(
+      [0, 10, 20, 30], [0, 5, 12, 15]), EPSILON);
+  assertEquals(0, rflect.ui.VelocityTracker.lastTwoSamples([10], [20]));
+  assertEquals(0, rflect.ui.VelocityTracker.lastTwoSamples([10, 10],
+      [0, 20]));
+}
+
+
+function testVelocityAlongEachAxis() {
+  const tracker = new rflect.ui.VelocityTracker();
+  addUniformSamples(tracker, 1000, 5, 16, .8, -1.5);
+
+  assertRoughlyEquals(.8, tracker.getVelocity(true, 1064), EPSILON);
+  assertRoughlyEquals(-1.5, tracker.getVelocity(false, 1064), EPSILON);
+}
+
+
+function testEstimatorIsReplaceable() {
+  const tracker = new rflect.ui.VelocityTracker(
+      rflect.ui.VelocityTracker.lastTwoSamples);
+  tracker.addSample(0, 0, 0);
+  tracker.addSample(0, 5, 10);
+  tracker.addSample(0, 12, 20);
+  tracker.addSample(0, 15, 30);
+  assertRoughlyEquals(.3, tracker.getVelocity(false, 30), EPSILON);
+
+  tracker.setEstimator(rflect.ui.VelocityTracker.leastSquares);
+  assertRoughlyEquals(.52, tracker.getVelocity(false, 30), EPSILON);
+}
+
+
+function testNoVelocityAfterRest() {
+  const tracker = new rflect.ui.VelocityTracker();
+  addUniformSamples(tracker, 0, 4, 10, 0, 1);
+  const lastTime = 30;
+
+  assertRoughlyEquals(1, tracker.getVelocity(false,
+      lastTime + rflect.ui.VelocityTracker.REST_TIME), EPSILON);
+  assertEquals(0, tracker.getVelocity(false,
+      lastTime + rflect.ui.VelocityTracker.REST_TIME + 1));
+}
+
+
+function testOldSamplesLeaveWindow() {
+  const tracker = new rflect.ui.VelocityTracker();
+  // Fast start of drag, which is older than window once drag slows down.
+  tracker.addSample(0, -1000, 0);
+  addUniformSamples(tracker, rflect.ui.VelocityTracker.SAMPLE_WINDOW + 1, 5,
+      10, 0, .5);
+  const lastTime = rflect.ui.VelocityTracker.SAMPLE_WINDOW + 41;
+
+  assertRoughlyEquals(.5, tracker.getVelocity(false, lastTime), EPSILON);
+}
+
+
+function testSampleAtWindowEdgeIsKept() {
+  const tracker = new rflect.ui.VelocityTracker();
+  tracker.addSample(0, 0, 0);
+  tracker.addSample(0, 50, rflect.ui.VelocityTracker.SAMPLE_WINDOW);
+
+  assertRoughlyEquals(50 / rflect.ui.VelocityTracker.SAMPLE_WINDOW,
+      tracker.getVelocity(false, rflect.ui.VelocityTracker.SAMPLE_WINDOW),
+      EPSILON);
+}
+
+
+function testSamplesAreCapped() {
+  const tracker = new rflect.ui.VelocityTracker();
+  // Jump within window which is dropped because newer samples fill the cap.
+  tracker.addSample(-1000, 0, 0);
+  addUniformSamples(tracker, 1, rflect.ui.VelocityTracker.MAX_SAMPLES, 1, 2,
+      0);
+
+  assertRoughlyEquals(2, tracker.getVelocity(true,
+      rflect.ui.VelocityTracker.MAX_SAMPLES), EPSILON);
+}
+
+
+function testReset() {
+  const tracker = new rflect.ui.VelocityTracker();
+  addUniformSamples(tracker, 0, 4, 10, 1, 1);
+  tracker.reset();
+
+  assertEquals(0, tracker.getVelocity(true, 30));
+  assertEquals(0, tracker.getVelocity(false, 30));
+}
@@ -0,0 +1,445 @@
+/*
+ * Copyright (c) 2014. Rflect, Alex K.
+ */
+
+/**
+ * @fileoverview Virtual list which keeps in DOM only rows visible in
+ * momentum scroller, while scroller behaves as if all of them were present.
+ */
+
+goog.provide('rflect.ui.VirtualList');
+
+goog.require('goog.dom');
+goog.require('goog.events.EventHandler');
+goog.require('goog.math');
+goog.require('goog.style');
+goog.require('rflect.ui.MomentumScroller');
+
+
+
+/**
+ * Virtual list main class. Rows are rendered into content element of
+ * scroller, which is given height of all rows. Call <code>render</code> once
+ * scroller is added.
+ * @param {!rflect.ui.MomentumScroller} aScroller Scroller to render rows
+ * into.
+ * @param {number} aRowCount Number of rows.
+ * @param {number} aRowHeight Height of row, or its estimate if rows are
+ * measured.
+ * @param {rflect.ui.VirtualList.RenderRow} aRenderRow Renders row.
+ * @param {Object=} opt_options Options:
+ * <ul>
+ * <li>estimated - whether row height is estimate, and rendered rows are
+ * measured;</li>
+ * <li>buffer - how many rows are kept rendered beyond each edge of frame.</li>
+ * </ul>
+ * @constructor
+ * @extends {goog.events.EventHandler}
+ */
+rflect.ui.VirtualList = function(aScroller, aRowCount, aRowHeight, aRenderRow,
+    opt_options) {
+  goog.events.EventHandler.call(this);
+
+  const options = opt_options || {};
+
+  /**
+   * @type {!rflect.ui.MomentumScroller}
+   * @private
+   */
+  this.scroller_ = aScroller;
+
+  /**
+   * @type {number}
+   * @private
+   */
+  this.rowCount_ = aRowCount;
+
+  /**
+   * @type {number}
+   * @private
+   */
+  this.rowHeight_ = aRowHeight;
+
+  /**
+   * @type {rflect.ui.VirtualList.RenderRow}
+   * @private
+   */
+  this.renderRow_ = aRenderRow;
+
+  /**
+   * @type {boolean}
+   * @private
+   */
+  this.estimated_ = !!options['estimated'];
+
+  /**
+   * @type {number}
+   * @private
+   */
+  this.buffer_ = goog.isNumber(options['buffer']) ? options['buffer'] :
+      rflect.ui.VirtualList.BUFFER;
+
+  /**
+   * Heights of rows, by index. Used only if heights are estimated.
+   * @type {!Array<number>}
+   * @private
+   */
+  this.heights_ = [];
+
+  /**
+   * Positions of rows, by index, with content height as the last item. Null
+   * if heights changed since they were computed.
+   * @type {Array<number>}
+   * @private
+   */
+  this.offsets_ = null;
+
+  /**
+   * Rendered rows, by index.
+   * @type {!Map<number, !Element>}
+   * @private
+   */
+  this.rows_ = new Map();
+
+  /**
+   * Rows which left frame and may be recycled.
+   * @type {!Array<!Element>}
+   * @private
+   */
+  this.pool_ = [];
+
+  this.resetHeights_();
+  this.listen(aScroller.getEventTarget(), [
+    rflect.ui.MomentumScroller.EventType.SCROLL,
+    rflect.ui.MomentumScroller.EventType.SCROLL_END
+  ], this.render);
+}
+goog.inherits(rflect.ui.VirtualList, goog.events.EventHandler);
+
+
+/**
+ * Function which renders row. Receives row index and element of row which is
+ * no longer visible, or null, and returns row element, possibly recycled one.
+ * @typedef {function(number, Element): !Element}
+ */
+rflect.ui.VirtualList.RenderRow;
+
+
+/**
+ * Default number of rows rendered beyond each edge of frame.
+ * @type {number}
+ */
+rflect.ui.VirtualList.BUFFER = 5;
+
+
+/**
+ * Element into which rows are rendered.
+ * @type {Element}
+ * @private
+ */
+rflect.ui.VirtualList.prototype.container_ = null;
+
+
+/**
+ * Styles of container which list overrides.
+ * @type {{position: string, height: string}}
+ * @private
+ */
+rflect.ui.VirtualList.prototype.containerInitialStyle_;
+
+
+/**
+ * Height given to container.
+ * @type {number}
+ * @private
+ */
+rflect.ui.VirtualList.prototype.height_ = -1;
+
+
+/**
+ * Whether rows are being rendered, and whether render was asked for meanwhile,
+ * e.g. by scroll caused by new height.
+ * @type {boolean}
+ * @private
+ */
+rflect.ui.VirtualList.prototype.rendering_ = false;
+
+
+/**
+ * @type {boolean}
+ * @private
+ */
+rflect.ui.VirtualList.prototype.renderPending_ = false;
+
+
+/**
+ * Fills heights of rows with estimate.
+ * @private
+ */
+rflect.ui.VirtualList.prototype.resetHeights_ = function() {
+  if (this.estimated_) {
+    this.heights_.length = this.rowCount_;
+    this.heights_.fill(this.rowHeight_);
+  }
+  this.offsets_ = null;
+}
+
+
+/**
+ * @param {number} aIndex Index of row, could be equal to row count.
+ * @return {number} Position of row within content.
+ */
+rflect.ui.VirtualList.prototype.getRowOffset = function(aIndex) {
+  if (!this.estimated_)
+    return aIndex * this.rowHeight_;
+
+  if (!this.offsets_) {
+    this.offsets_ = [0];
+    this.heights_.forEach((aHeight, aRowIndex) => {
+      this.offsets_.push(this.offsets_[aRowIndex] + aHeight);
+    });
+  }
+  return this.offsets_[aIndex];
+}
+
+
+/**
+ * @param {number} aPosition Position within content.
+ * @return {number} Index of row at position, clamped to existing rows.
+ * @private
+ */
+rflect.ui.VirtualList.prototype.getRowAt_ = function(aPosition) {
+  const lastIndex = Math.max(0, this.rowCount_ - 1);
+  if (!this.estimated_)
+    return goog.math.clamp(Math.floor(aPosition / this.rowHeight_), 0,
+        lastIndex);
+
+  // The last row whose offset isn't greater than position.
+  let low = 0;
+  let high = lastIndex;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (this.getRowOffset(middle) <= aPosition) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return low;
+}
+
+
+/**
+ * Renders rows which are visible in frame now, recycling the rest.
+ */
+rflect.ui.VirtualList.prototype.render = function() {
+  if (this.rendering_) {
+    this.renderPending_ = true;
+    return;
+  }
+  const element = this.scroller_.element;
+  if (!element)
+    return;
+  if (element != this.container_) {
+    this.setContainer_(element);
+  }
+
+  this.rendering_ = true;
+  do {
+    this.renderPending_ = false;
+    this.renderRows_();
+  } while (this.renderPending_);
+  this.rendering_ = false;
+}
+
+
+/**
+ * Makes element container of rows, giving container of previous scroller
+ * back.
+ * @param {!Element} aElement Element to render rows into.
+ * @private
+ */
+rflect.ui.VirtualList.prototype.setContainer_ = function(aElement) {
+  this.releaseContainer_();
+  this.container_ = aElement;
+  this.containerInitialStyle_ = {
+    position: aElement.style.position,
+    height: aElement.style.height
+  };
+  if (goog.style.getComputedPosition(aElement) == 'static') {
+    aElement.style.position = 'relative';
+  }
+}
+
+
+/**
+ * Removes rows from container and restores its styles.
+ * @private
+ */
+rflect.ui.VirtualList.prototype.releaseContainer_ = function() {
+  this.recycleRows_(() => true);
+  this.pool_.length = 0;
+  if (this.container_) {
+    this.container_.style.position = this.containerInitialStyle_.position;
+    this.container_.style.height = this.containerInitialStyle_.height;
+    this.container_ = null;
+  }
+  this.height_ = -1;
+}
+
+
+/**
+ * Moves rows which pass test to pool.
+ * @param {function(number): boolean} aTest Test which receives row index.
+ * @private
+ */
+rflect.ui.VirtualList.prototype.recycleRows_ = function(aTest) {
+  this.rows_.forEach((aRow, aIndex) => {
+    if (!aTest(aIndex))
+      return;
+    goog.dom.removeNode(aRow);
+    this.pool_.push(aRow);
+    this.rows_.delete(aIndex);
+  });
+}
+
+
+/**
+ * Renders visible rows once.
+ * @private
+ */
+rflect.ui.VirtualList.prototype.renderRows_ = function() {
+  // Frame shows part of content between these positions, which are taken
+  // without zoom.
+  const zoom = this.scroller_.getZoom();
+  const top = Math.max(0, -this.scroller_.contentOffsetY / zoom);
+  const bottom = top + this.scroller_.frameElementSize.height / zoom;
+  const first = Math.max(0, this.getRowAt_(top) - this.buffer_);
+  const last = Math.min(this.rowCount_ - 1,
+      this.getRowAt_(bottom) + this.buffer_);
+
+  this.recycleRows_((aIndex) => aIndex < first || aIndex > last);
+  const rendered = [];
+  for (let index = first; index <= last; index++) {
+    if (this.rows_.has(index))
+      continue;
+    const row = this.renderRow_(index, this.pool_.pop() || null);
+    row.style.position = 'absolute';
+    row.style.left = '0';
+    row.style.right = '0';
+    this.container_.appendChild(row);
+    this.rows_.set(index, row);
+    rendered.push(index);
+  }
+
+  const anchorIndex = this.getRowAt_(top);
+  const anchorOffset = this.getRowOffset(anchorIndex);
+  if (this.estimated_) {
+    this.measureRows_(rendered);
+  }
+  this.rows_.forEach((aRow, aIndex) => {
+    aRow.style.top = this.getRowOffset(aIndex) + 'px';
+  });
+  this.updateHeight_();
+
+  // Rows measured above frame would push visible ones, so content is moved
+  // to keep them in place. Moving content is left alone.
+  const delta = this.getRowOffset(anchorIndex) - anchorOffset;
+  if (delta && !this.scroller_.isDecelerating() &&
+      !this.scroller_.isDragging()) {
+    this.scroller_.setScrollTop(this.scroller_.getScrollTop() + delta * zoom);
+  }
+}
+
+
+/**
+ * Measures rendered rows, replacing estimated heights.
+ * @param {!Array<number>} aIndices Indices of rows to measure.
+ * @private
+ */
+rflect.ui.VirtualList.prototype.measureRows_ = function(aIndices) {
+  aIndices.forEach((aIndex) => {
+    const height = this.rows_.get(aIndex).offsetHeight;
+    if (height != this.heights_[aIndex]) {
+      this.heights_[aIndex] = height;
+      this.offsets_ = null;
+    }
+  });
+}
+
+
+/**
+ * Gives container height of all rows, so that scroller measures it.
+ * @private
+ */
+rflect.ui.VirtualList.prototype.updateHeight_ = function() {
+  const height = this.getRowOffset(this.rowCount_);
+  if (height == this.height_)
+    return;
+  this.height_ = height;
+  this.container_.style.height = height + 'px';
+  this.scroller_.updateSizes();
+}
+
+
+/**
+ * Changes number of rows. Heights of rows measured so far are kept.
+ * @param {number} aRowCount Number of rows.
+ */
+rflect.ui.VirtualList.prototype.setRowCount = function(aRowCount) {
+  if (this.estimated_) {
+    const previousCount = this.heights_.length;
+    this.heights_.length = aRowCount;
+    this.heights_.fill(this.rowHeight_, previousCount);
+  }
+  this.rowCount_ = aRowCount;
+  this.offsets_ = null;
+  this.recycleRows_((aIndex) => aIndex >= aRowCount);
+  this.render();
+}
+
+
+/**
+ * Renders all visible rows again, e.g. after their data changed. Estimated
+ * heights are forgotten, so rows are measured anew.
+ */
+rflect.ui.VirtualList.prototype.refresh = function() {
+  this.recycleRows_(() => true);
+  this.resetHeights_();
+  this.render();
+}
+
+
+/**
+ * Smoothly scrolls content to row.
+ * @param {number} aIndex Index of row, clamped to existing ones.
+ * @param {Object=} opt_options Options of animation, as for scrollTo.
+ * @return {!Promise<boolean>} Promise which is resolved with true when
+ * content gets to position, or with false if movement is interrupted.
+ * @see {rflect.ui.MomentumScroller#scrollTo}
+ */
+rflect.ui.VirtualList.prototype.scrollToRow = function(aIndex, opt_options) {
+  const index = goog.math.clamp(Math.round(aIndex), 0,
+      Math.max(0, this.rowCount_ - 1));
+  return this.scroller_.scrollTo(this.getRowOffset(index) *
+      this.scroller_.getZoom(), opt_options);
+}
+
+
+/**
+ * @override
+ */
+rflect.ui.VirtualList.prototype.disposeInternal = function() {
+  this.releaseContainer_();
+  this.rows_.clear();
+  rflect.ui.VirtualList.superClass_.disposeInternal.call(this);
+};
+
+
+goog.exportSymbol('VirtualList', rflect.ui.VirtualList);
+goog.exportSymbol('VirtualList.prototype.render', rflect.ui.VirtualList.prototype.render);
+goog.exportSymbol('VirtualList.prototype.getRowOffset', rflect.ui.VirtualList.prototype.getRowOffset);
+goog.exportSymbol('VirtualList.prototype.setRowCount', rflect.ui.VirtualList.prototype.setRowCount);
+goog.exportSymbol('VirtualList.prototype.refresh', rflect.ui.VirtualList.prototype.refresh);
+goog.exportSymbol('VirtualList.prototype.scrollToRow', rflect.ui.VirtualList.prototype.scrollToRow);
+goog.exportSymbol('VirtualList.prototype.dispose', rflect.ui.VirtualList.prototype.dispose);
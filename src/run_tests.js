@@ -0,0 +1,139 @@
+/*
+ * Copyright (c) 2014. Rflect, Alex K.
+ */
+
+/**
+ * @fileoverview Runs unit tests in Node, `npm test`.
+ *
+ * Loads every *_test.js file of scroller sources through Closure debug loader
+ * and calls its test functions, with setUp and tearDown around each. Takes
+ * place of goog.testing.jsunit, which runs tests on page load and so needs
+ * browser. Only modules without DOM dependencies could be tested this way.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+require('google-closure-library');
+
+goog.require('goog.testing.asserts');
+// Test files require it to run in browser, here tests are run below.
+goog.provide('goog.testing.jsunit');
+
+
+/**
+ * Directory with scroller sources and their tests.
+ * @type {string}
+ */
+const SOURCE_DIR = path.join(__dirname, 'momentum-scroller');
+
+
+/**
+ * Directory of Closure base.js, dependency paths are relative to it.
+ * @type {string}
+ */
+const CLOSURE_DIR = path.dirname(
+    require.resolve('google-closure-library/closure/goog/base.js'));
+
+
+/**
+ * Suffix of test file names.
+ * @type {string}
+ */
+const TEST_SUFFIX = '_test.js';
+
+
+/**
+ * Lists namespaces passed to goog.provide or goog.require in source.
+ * @param {string} aSource Source text.
+ * @param {string} aCall Function name, 'provide' or 'require'.
+ * @return {!Array<string>} Namespaces.
+ */
+function getNamespaces(aSource, aCall) {
+  const pattern = new RegExp(`^goog\\.${aCall}\\('([\\w.]+)'\\);`, 'gm');
+  const namespaces = [];
+  let match;
+  while ((match = pattern.exec(aSource)))
+    namespaces.push(match[1]);
+  return namespaces;
+}
+
+
+/**
+ * Registers source files in debug loader, so that tests could require them.
+ * Test files aren't registered, they're loaded into global scope instead.
+ * @return {!Array<string>} Paths of test files.
+ */
+function addDependencies() {
+  const testFiles = [];
+
+  fs.readdirSync(SOURCE_DIR).sort().forEach(aName => {
+    const file = path.join(SOURCE_DIR, aName);
+    if (aName.endsWith(TEST_SUFFIX)) {
+      testFiles.push(file);
+      return;
+    }
+    const source = fs.readFileSync(file, 'utf8');
+    const provides = getNamespaces(source, 'provide');
+    if (provides.length)
+      goog.addDependency(path.relative(CLOSURE_DIR, file), provides,
+          getNamespaces(source, 'require'));
+  });
+
+  return testFiles;
+}
+
+
+/**
+ * Loads test file and runs its tests.
+ * @param {string} aFile Path of test file.
+ * @return {number} Number of failed tests.
+ */
+function runTestFile(aFile) {
+  const source = fs.readFileSync(aFile, 'utf8');
+  getNamespaces(source, 'require').forEach(aNamespace => {
+    goog.require(aNamespace);
+  });
+
+  // Test functions are globals, so tell this file's ones by what's new.
+  const globalNames = new Set(Object.keys(global));
+  goog.nodeGlobalRequire(aFile);
+  const testNames = Object.keys(global).filter(aName =>
+      !globalNames.has(aName) && aName.startsWith('test') &&
+      typeof global[aName] == 'function');
+  const setUp = global['setUp'];
+  const tearDown = global['tearDown'];
+  global['setUp'] = global['tearDown'] = undefined;
+
+  console.log(path.relative(process.cwd(), aFile));
+  let failures = 0;
+  testNames.forEach(aName => {
+    try {
+      if (setUp)
+        setUp();
+      try {
+        global[aName]();
+      } finally {
+        if (tearDown)
+          tearDown();
+      }
+      console.log(`  ok ${aName}`);
+    } catch (e) {
+      failures++;
+      console.log(`  FAILED ${aName}\n    ${e.message || e}`);
+    }
+  });
+  return failures;
+}
+
+
+const testFiles = addDependencies();
+let failures = 0;
+testFiles.forEach(aFile => {
+  failures += runTestFile(aFile);
+});
+
+if (failures) {
+  console.log(`${failures} test(s) failed.`);
+  process.exitCode = 1;
+}